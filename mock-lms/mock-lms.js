@@ -0,0 +1,898 @@
+/**
+ * Mock LMS for local testing.
+ *
+ * Installs the SCORM 1.2 `API` and SCORM 2004 `API_1484_11` objects that
+ * scormdriver.js looks for in its parent windows, keeps the CMI data model in
+ * memory (and in localStorage when "Keep data between launches" is on), and
+ * logs every call in the inspector next to the course frame.
+ *
+ * Serve the repository root and open mock-lms/index.html. Add
+ * `?standard=2004` for the SCORM 2004 API; scormdriver only looks for it when
+ * `strLMSStandard` in scormdriver/driverOptions.js is "AUTO" or "SCORM2004".
+ */
+(function() {
+  'use strict';
+
+  var COURSE_URL = '../scormdriver/indexAPI.html';
+  var MANIFEST_URL = '../imsmanifest.xml';
+  var SETTINGS_KEY = 'mockLMS:settings';
+  var DATA_KEY_PREFIX = 'mockLMS:data:';
+  var MAX_LOG_ROWS = 500;
+  var VALUE_PREVIEW = 120;
+  // Calls scormdriver makes after every Get/Set; hidden unless asked for
+  var NOISY_METHODS = /^(LMS)?Get(LastError|ErrorString|Diagnostic)$/;
+
+  var DEFAULT_SETTINGS = {
+    learnerId: 'learner-1',
+    learnerName: 'Learner, Test',
+    persist: true,
+    offline: false,
+    oversized: 'reject',   // reject | truncate | accept
+    showNoisy: false
+  };
+
+  // ============ DATA MODELS ============
+  // Each element: access (ro, wo, rw) and an optional check(value) that returns
+  // true when the value is valid. Patterns use N for a collection index.
+
+  var VOCAB = {
+    lessonStatus: ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+    exit12: ['time-out', 'suspend', 'logout', ''],
+    exit2004: ['time-out', 'suspend', 'logout', 'normal', ''],
+    completion: ['completed', 'incomplete', 'not attempted', 'unknown'],
+    success: ['passed', 'failed', 'unknown'],
+    interactionType: ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'],
+    result12: ['correct', 'wrong', 'unanticipated', 'neutral'],
+    result2004: ['correct', 'incorrect', 'unanticipated', 'neutral']
+  };
+
+  function oneOf(list) {
+    return function(value) { return list.indexOf(value) !== -1; };
+  }
+
+  function decimal(min, max) {
+    return function(value) {
+      if (!/^-?\d+(\.\d+)?$/.test(value)) return false;
+      var number = parseFloat(value);
+      return (min === undefined || number >= min) && (max === undefined || number <= max);
+    };
+  }
+
+  function maxLength(limit) {
+    return function(value) { return value.length <= limit; };
+  }
+
+  var timespan12 = function(value) { return /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value); };
+  var duration2004 = function(value) { return /^P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(?!$)(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/.test(value); };
+
+  var SCORM12 = {
+    name: 'SCORM 1.2',
+    suspendLimit: 4096,
+    elements: {
+      'cmi.core._children': { access: 'ro' },
+      'cmi.core.student_id': { access: 'ro' },
+      'cmi.core.student_name': { access: 'ro' },
+      'cmi.core.lesson_location': { access: 'rw', check: maxLength(255) },
+      'cmi.core.credit': { access: 'ro' },
+      'cmi.core.lesson_status': { access: 'rw', check: oneOf(VOCAB.lessonStatus.slice(0, 5)) },
+      'cmi.core.entry': { access: 'ro' },
+      'cmi.core.score._children': { access: 'ro' },
+      'cmi.core.score.raw': { access: 'rw', check: decimal(0, 100) },
+      'cmi.core.score.min': { access: 'rw', check: decimal(0, 100) },
+      'cmi.core.score.max': { access: 'rw', check: decimal(0, 100) },
+      'cmi.core.total_time': { access: 'ro' },
+      'cmi.core.lesson_mode': { access: 'ro' },
+      'cmi.core.exit': { access: 'wo', check: oneOf(VOCAB.exit12) },
+      'cmi.core.session_time': { access: 'wo', check: timespan12 },
+      'cmi.suspend_data': { access: 'rw', suspend: true },
+      'cmi.launch_data': { access: 'ro' },
+      'cmi.comments': { access: 'rw', check: maxLength(4096) },
+      'cmi.comments_from_lms': { access: 'ro' },
+      'cmi.student_data._children': { access: 'ro' },
+      'cmi.student_data.mastery_score': { access: 'ro' },
+      'cmi.student_data.max_time_allowed': { access: 'ro' },
+      'cmi.student_data.time_limit_action': { access: 'ro' },
+      'cmi.student_preference._children': { access: 'ro' },
+      'cmi.student_preference.audio': { access: 'rw', check: decimal(-1, 100) },
+      'cmi.student_preference.language': { access: 'rw', check: maxLength(255) },
+      'cmi.student_preference.speed': { access: 'rw', check: decimal(-100, 100) },
+      'cmi.student_preference.text': { access: 'rw', check: decimal(-1, 1) },
+      'cmi.objectives._children': { access: 'ro' },
+      'cmi.objectives._count': { access: 'ro' },
+      'cmi.objectives.N.id': { access: 'rw', check: maxLength(255) },
+      'cmi.objectives.N.score._children': { access: 'ro' },
+      'cmi.objectives.N.score.raw': { access: 'rw', check: decimal(0, 100) },
+      'cmi.objectives.N.score.min': { access: 'rw', check: decimal(0, 100) },
+      'cmi.objectives.N.score.max': { access: 'rw', check: decimal(0, 100) },
+      'cmi.objectives.N.status': { access: 'rw', check: oneOf(VOCAB.lessonStatus) },
+      'cmi.interactions._children': { access: 'ro' },
+      'cmi.interactions._count': { access: 'ro' },
+      'cmi.interactions.N.id': { access: 'wo', check: maxLength(255) },
+      'cmi.interactions.N.objectives._count': { access: 'ro' },
+      'cmi.interactions.N.objectives.N.id': { access: 'wo', check: maxLength(255) },
+      'cmi.interactions.N.time': { access: 'wo', check: function(value) { return /^\d{2}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value); } },
+      'cmi.interactions.N.type': { access: 'wo', check: oneOf(VOCAB.interactionType.slice(0, -1).filter(function(type) { return type !== 'long-fill-in'; })) },
+      'cmi.interactions.N.correct_responses._count': { access: 'ro' },
+      'cmi.interactions.N.correct_responses.N.pattern': { access: 'wo', check: maxLength(255) },
+      'cmi.interactions.N.weighting': { access: 'wo', check: decimal() },
+      'cmi.interactions.N.student_response': { access: 'wo', check: maxLength(255) },
+      'cmi.interactions.N.result': { access: 'wo', check: function(value) { return VOCAB.result12.indexOf(value) !== -1 || decimal()(value); } },
+      'cmi.interactions.N.latency': { access: 'wo', check: timespan12 }
+    },
+    // SCORM 1.2 error codes
+    errors: {
+      0: 'No error',
+      101: 'General exception',
+      201: 'Invalid argument error',
+      202: 'Element cannot have children',
+      203: 'Element not an array - cannot have count',
+      301: 'Not initialized',
+      401: 'Not implemented error',
+      402: 'Invalid set value, element is a keyword',
+      403: 'Element is read only',
+      404: 'Element is write only',
+      405: 'Incorrect data type'
+    },
+    codes: {
+      alreadyInitialized: 101, notInitialized: 301, terminated: 101,
+      getFailed: 201, setFailed: 201, commitFailed: 101,
+      undefinedElement: 401, readOnly: 403, writeOnly: 404, typeMismatch: 405, keyword: 402, outOfOrder: 201
+    },
+    methods: {
+      initialize: 'LMSInitialize', terminate: 'LMSFinish', getValue: 'LMSGetValue', setValue: 'LMSSetValue',
+      commit: 'LMSCommit', getLastError: 'LMSGetLastError', getErrorString: 'LMSGetErrorString', getDiagnostic: 'LMSGetDiagnostic'
+    },
+    windowName: 'API',
+    exitElement: 'cmi.core.exit',
+    entryElement: 'cmi.core.entry',
+    sessionTimeElement: 'cmi.core.session_time',
+    totalTimeElement: 'cmi.core.total_time',
+    defaults: function(settings, manifest) {
+      return {
+        'cmi.core._children': 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+        'cmi.core.student_id': settings.learnerId,
+        'cmi.core.student_name': settings.learnerName,
+        'cmi.core.lesson_location': '',
+        'cmi.core.credit': 'credit',
+        'cmi.core.lesson_status': 'not attempted',
+        'cmi.core.entry': 'ab-initio',
+        'cmi.core.score._children': 'raw,min,max',
+        'cmi.core.score.raw': '',
+        'cmi.core.score.min': '',
+        'cmi.core.score.max': '',
+        'cmi.core.total_time': '0000:00:00',
+        'cmi.core.lesson_mode': 'normal',
+        'cmi.suspend_data': '',
+        'cmi.launch_data': manifest.launchData,
+        'cmi.comments': '',
+        'cmi.comments_from_lms': '',
+        'cmi.student_data._children': 'mastery_score,max_time_allowed,time_limit_action',
+        'cmi.student_data.mastery_score': manifest.masteryScore,
+        'cmi.student_data.max_time_allowed': '',
+        'cmi.student_data.time_limit_action': '',
+        'cmi.student_preference._children': 'audio,language,speed,text',
+        'cmi.student_preference.audio': '0',
+        'cmi.student_preference.language': '',
+        'cmi.student_preference.speed': '0',
+        'cmi.student_preference.text': '0',
+        'cmi.objectives._children': 'id,score,status',
+        'cmi.objectives._count': '0',
+        'cmi.objectives.N.score._children': 'raw,min,max',
+        'cmi.interactions._children': 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency',
+        'cmi.interactions._count': '0'
+      };
+    },
+    addTime: function(total, session) {
+      return formatTimespan(parseTimespan(total) + parseTimespan(session));
+    }
+  };
+
+  var SCORM2004 = {
+    name: 'SCORM 2004',
+    suspendLimit: 64000,
+    elements: {
+      'cmi._version': { access: 'ro' },
+      'cmi.learner_id': { access: 'ro' },
+      'cmi.learner_name': { access: 'ro' },
+      'cmi.location': { access: 'rw', check: maxLength(1000) },
+      'cmi.credit': { access: 'ro' },
+      'cmi.mode': { access: 'ro' },
+      'cmi.entry': { access: 'ro' },
+      'cmi.exit': { access: 'wo', check: oneOf(VOCAB.exit2004) },
+      'cmi.session_time': { access: 'wo', check: duration2004 },
+      'cmi.total_time': { access: 'ro' },
+      'cmi.completion_status': { access: 'rw', check: oneOf(VOCAB.completion) },
+      'cmi.success_status': { access: 'rw', check: oneOf(VOCAB.success) },
+      'cmi.completion_threshold': { access: 'ro' },
+      'cmi.scaled_passing_score': { access: 'ro' },
+      'cmi.progress_measure': { access: 'rw', check: decimal(0, 1) },
+      'cmi.score._children': { access: 'ro' },
+      'cmi.score.scaled': { access: 'rw', check: decimal(-1, 1) },
+      'cmi.score.raw': { access: 'rw', check: decimal() },
+      'cmi.score.min': { access: 'rw', check: decimal() },
+      'cmi.score.max': { access: 'rw', check: decimal() },
+      'cmi.suspend_data': { access: 'rw', suspend: true },
+      'cmi.launch_data': { access: 'ro' },
+      'cmi.max_time_allowed': { access: 'ro' },
+      'cmi.time_limit_action': { access: 'ro' },
+      'cmi.learner_preference._children': { access: 'ro' },
+      'cmi.learner_preference.audio_level': { access: 'rw', check: decimal(0) },
+      'cmi.learner_preference.language': { access: 'rw', check: maxLength(250) },
+      'cmi.learner_preference.delivery_speed': { access: 'rw', check: decimal(0) },
+      'cmi.learner_preference.audio_captioning': { access: 'rw', check: oneOf(['-1', '0', '1']) },
+      'cmi.comments_from_learner._children': { access: 'ro' },
+      'cmi.comments_from_learner._count': { access: 'ro' },
+      'cmi.comments_from_learner.N.comment': { access: 'rw', check: maxLength(4000) },
+      'cmi.comments_from_learner.N.location': { access: 'rw', check: maxLength(250) },
+      'cmi.comments_from_learner.N.timestamp': { access: 'rw' },
+      'cmi.comments_from_lms._count': { access: 'ro' },
+      'cmi.objectives._children': { access: 'ro' },
+      'cmi.objectives._count': { access: 'ro' },
+      'cmi.objectives.N.id': { access: 'rw', check: maxLength(4000), identifier: true },
+      'cmi.objectives.N.score._children': { access: 'ro' },
+      'cmi.objectives.N.score.scaled': { access: 'rw', check: decimal(-1, 1) },
+      'cmi.objectives.N.score.raw': { access: 'rw', check: decimal() },
+      'cmi.objectives.N.score.min': { access: 'rw', check: decimal() },
+      'cmi.objectives.N.score.max': { access: 'rw', check: decimal() },
+      'cmi.objectives.N.success_status': { access: 'rw', check: oneOf(VOCAB.success) },
+      'cmi.objectives.N.completion_status': { access: 'rw', check: oneOf(VOCAB.completion) },
+      'cmi.objectives.N.progress_measure': { access: 'rw', check: decimal(0, 1) },
+      'cmi.objectives.N.description': { access: 'rw', check: maxLength(250) },
+      'cmi.interactions._children': { access: 'ro' },
+      'cmi.interactions._count': { access: 'ro' },
+      'cmi.interactions.N.id': { access: 'rw', check: maxLength(4000), identifier: true },
+      'cmi.interactions.N.type': { access: 'rw', check: oneOf(VOCAB.interactionType) },
+      'cmi.interactions.N.objectives._count': { access: 'ro' },
+      'cmi.interactions.N.objectives.N.id': { access: 'rw', check: maxLength(4000) },
+      'cmi.interactions.N.timestamp': { access: 'rw' },
+      'cmi.interactions.N.correct_responses._count': { access: 'ro' },
+      'cmi.interactions.N.correct_responses.N.pattern': { access: 'rw', check: maxLength(4000) },
+      'cmi.interactions.N.weighting': { access: 'rw', check: decimal() },
+      'cmi.interactions.N.learner_response': { access: 'rw', check: maxLength(4000) },
+      'cmi.interactions.N.result': { access: 'rw', check: function(value) { return VOCAB.result2004.indexOf(value) !== -1 || decimal()(value); } },
+      'cmi.interactions.N.latency': { access: 'rw', check: duration2004 },
+      'cmi.interactions.N.description': { access: 'rw', check: maxLength(250) },
+      'adl.nav.request': { access: 'rw' }
+    },
+    // SCORM 2004 error codes
+    errors: {
+      0: 'No error',
+      101: 'General exception',
+      102: 'General initialization failure',
+      103: 'Already initialized',
+      104: 'Content instance terminated',
+      111: 'General termination failure',
+      112: 'Termination before initialization',
+      113: 'Termination after termination',
+      122: 'Retrieve data before initialization',
+      123: 'Retrieve data after termination',
+      132: 'Store data before initialization',
+      133: 'Store data after termination',
+      142: 'Commit before initialization',
+      143: 'Commit after termination',
+      201: 'General argument error',
+      301: 'General get failure',
+      351: 'General set failure',
+      391: 'General commit failure',
+      401: 'Undefined data model element',
+      402: 'Unimplemented data model element',
+      403: 'Data model element value not initialized',
+      404: 'Data model element is read only',
+      405: 'Data model element is write only',
+      406: 'Data model element type mismatch',
+      407: 'Data model element value out of range',
+      408: 'Data model dependency not established'
+    },
+    codes: {
+      alreadyInitialized: 103, notInitialized: { get: 122, set: 132, commit: 142, terminate: 112 },
+      terminated: { initialize: 104, get: 123, set: 133, commit: 143, terminate: 113 },
+      getFailed: 301, setFailed: 351, commitFailed: 391,
+      undefinedElement: 401, readOnly: 404, writeOnly: 405, typeMismatch: 406, keyword: 404, outOfOrder: 351,
+      notInitializedValue: 403
+    },
+    methods: {
+      initialize: 'Initialize', terminate: 'Terminate', getValue: 'GetValue', setValue: 'SetValue',
+      commit: 'Commit', getLastError: 'GetLastError', getErrorString: 'GetErrorString', getDiagnostic: 'GetDiagnostic'
+    },
+    windowName: 'API_1484_11',
+    exitElement: 'cmi.exit',
+    entryElement: 'cmi.entry',
+    sessionTimeElement: 'cmi.session_time',
+    totalTimeElement: 'cmi.total_time',
+    defaults: function(settings, manifest) {
+      return {
+        'cmi._version': '1.0',
+        'cmi.learner_id': settings.learnerId,
+        'cmi.learner_name': settings.learnerName,
+        'cmi.location': '',
+        'cmi.credit': 'credit',
+        'cmi.mode': 'normal',
+        'cmi.entry': 'ab-initio',
+        'cmi.total_time': 'PT0H0M0S',
+        'cmi.completion_status': 'unknown',
+        'cmi.success_status': 'unknown',
+        'cmi.completion_threshold': '',
+        'cmi.scaled_passing_score': manifest.masteryScore ? String(manifest.masteryScore / 100) : '',
+        'cmi.score._children': 'scaled,raw,min,max',
+        'cmi.suspend_data': '',
+        'cmi.launch_data': manifest.launchData,
+        'cmi.max_time_allowed': '',
+        'cmi.time_limit_action': 'continue,no message',
+        'cmi.learner_preference._children': 'audio_level,language,delivery_speed,audio_captioning',
+        'cmi.learner_preference.audio_level': '1',
+        'cmi.learner_preference.language': '',
+        'cmi.learner_preference.delivery_speed': '1',
+        'cmi.learner_preference.audio_captioning': '0',
+        'cmi.comments_from_learner._children': 'comment,location,timestamp',
+        'cmi.comments_from_learner._count': '0',
+        'cmi.comments_from_lms._count': '0',
+        'cmi.objectives._children': 'id,score,success_status,completion_status,progress_measure,description',
+        'cmi.objectives._count': '0',
+        'cmi.objectives.N.score._children': 'scaled,raw,min,max',
+        'cmi.interactions._children': 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description',
+        'cmi.interactions._count': '0',
+        'adl.nav.request': '_none_'
+      };
+    },
+    addTime: function(total, session) {
+      return formatDuration(parseDuration(total) + parseDuration(session));
+    }
+  };
+
+  // ============ TIME HELPERS ============
+
+  function parseTimespan(value) {
+    var parts = String(value || '').split(':');
+    if (parts.length !== 3) return 0;
+    return (parseInt(parts[0], 10) * 3600) + (parseInt(parts[1], 10) * 60) + parseFloat(parts[2]);
+  }
+
+  function formatTimespan(seconds) {
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    var rest = Math.round(seconds % 60);
+    return (hours < 1000 ? ('000' + hours).slice(-4) : String(hours)) + ':' +
+      ('0' + minutes).slice(-2) + ':' + ('0' + rest).slice(-2);
+  }
+
+  function parseDuration(value) {
+    var match = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(String(value || ''));
+    if (!match) return 0;
+    return ((+match[1] || 0) * 31536000) + ((+match[2] || 0) * 2592000) + ((+match[3] || 0) * 86400) +
+      ((+match[4] || 0) * 3600) + ((+match[5] || 0) * 60) + (parseFloat(match[6]) || 0);
+  }
+
+  function formatDuration(seconds) {
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    return 'PT' + hours + 'H' + minutes + 'M' + (Math.round((seconds % 60) * 100) / 100) + 'S';
+  }
+
+  // ============ SETTINGS & STORAGE ============
+
+  function readJSON(key) {
+    try {
+      var raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.warn('Mock LMS: could not write to localStorage:', e);
+      return false;
+    }
+  }
+
+  function loadSettings() {
+    var saved = readJSON(SETTINGS_KEY) || {};
+    var settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(function(key) {
+      settings[key] = typeof saved[key] === typeof DEFAULT_SETTINGS[key] ? saved[key] : DEFAULT_SETTINGS[key];
+    });
+    return settings;
+  }
+
+  function saveSettings(settings) {
+    writeJSON(SETTINGS_KEY, settings);
+  }
+
+  function dataKey(model, settings) {
+    return DATA_KEY_PREFIX + (model === SCORM2004 ? '2004' : '1.2') + ':' + settings.learnerId;
+  }
+
+  /**
+   * Read launch data and the mastery score from imsmanifest.xml, like an LMS
+   * does on import. Resolves with empty values when the manifest can't be read.
+   */
+  function loadManifest() {
+    var empty = { launchData: '', masteryScore: '' };
+    if (typeof fetch !== 'function') return Promise.resolve(empty);
+    return fetch(MANIFEST_URL)
+      .then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then(function(text) {
+        var launch = /<adlcp:datafromlms>([^<]*)<\/adlcp:datafromlms>/.exec(text);
+        var mastery = /<adlcp:masteryscore>([^<]*)<\/adlcp:masteryscore>/.exec(text);
+        return {
+          launchData: launch ? launch[1].trim() : '',
+          masteryScore: mastery ? mastery[1].trim() : ''
+        };
+      })
+      .catch(function(error) {
+        console.warn('Mock LMS: could not read ' + MANIFEST_URL + ', launching without launch data.', error);
+        return empty;
+      });
+  }
+
+  // ============ API ============
+
+  /**
+   * Create the API object for one standard. `onCall` receives a record of each
+   * call: { method, args, result, error }.
+   */
+  function createAPI(model, settings, manifest, onCall) {
+    var stored = settings.persist ? readJSON(dataKey(model, settings)) : null;
+    var committed = stored && stored.values ? stored.values : model.defaults(settings, manifest);
+    var values = {};
+    var state = 'new';   // new | running | terminated
+    var lastError = 0;
+    var diagnostic = '';
+
+    function reset(source) {
+      values = {};
+      Object.keys(source).forEach(function(key) { values[key] = source[key]; });
+      // The learner and launch details always come from the current settings
+      var defaults = model.defaults(settings, manifest);
+      Object.keys(defaults).forEach(function(key) {
+        if (model.elements[key] && model.elements[key].access === 'ro' && !/\._count$/.test(key)) {
+          if (key !== model.entryElement && key !== model.totalTimeElement) values[key] = defaults[key];
+        }
+        if (!(key in values)) values[key] = defaults[key];
+      });
+    }
+
+    function fail(code, detail) {
+      lastError = code;
+      diagnostic = detail || '';
+      return code;
+    }
+
+    function codeFor(name, action) {
+      var code = model.codes[name];
+      return typeof code === 'object' ? code[action] : code;
+    }
+
+    function checkState(action) {
+      if (state === 'new') return fail(codeFor('notInitialized', action), 'Call ' + model.methods.initialize + ' first.');
+      if (state === 'terminated') return fail(codeFor('terminated', action), 'The session has already ended.');
+      return 0;
+    }
+
+    /**
+     * Find the schema entry for an element, checking collection indexes.
+     * Returns { definition, pattern, collections } or null for unknown elements.
+     */
+    function lookup(element) {
+      var pattern = element.replace(/\.\d+(?=\.)/g, '.N');
+      var definition = model.elements[pattern];
+      if (!definition) return null;
+
+      // Each index must point at an existing record or the next free one
+      var collections = [];
+      var indexPattern = /\.(\d+)(?=\.)/g;
+      var match;
+      while ((match = indexPattern.exec(element))) {
+        collections.push({ path: element.slice(0, match.index), index: parseInt(match[1], 10) });
+      }
+      return { definition: definition, pattern: pattern, collections: collections };
+    }
+
+    function count(path) {
+      return parseInt(values[path + '._count'] || '0', 10);
+    }
+
+    function getValue(element) {
+      element = String(element);
+      if (checkState('get')) return '';
+      if (!element) return fail(201, 'No element name given.') && '';
+
+      var childrenOrCount = /\._(children|count)$/.exec(element);
+      var entry = lookup(element);
+      if (!entry) {
+        if (childrenOrCount && values[element] === undefined) {
+          fail(childrenOrCount[1] === 'count' ? (model === SCORM12 ? 203 : 301) : (model === SCORM12 ? 202 : 301),
+            element + ' is not a collection.');
+          return '';
+        }
+        fail(model.codes.undefinedElement, element + ' is not part of the ' + model.name + ' data model.');
+        return '';
+      }
+      if (entry.definition.access === 'wo') {
+        fail(model.codes.writeOnly, element + ' is write only.');
+        return '';
+      }
+      for (var i = 0; i < entry.collections.length; i++) {
+        if (entry.collections[i].index >= count(entry.collections[i].path)) {
+          fail(model.codes.getFailed, entry.collections[i].path + '.' + entry.collections[i].index + ' does not exist.');
+          return '';
+        }
+      }
+
+      var value = values[element];
+      if (value === undefined && /\._count$/.test(element)) value = '0';
+      if (value === undefined && /\._children$/.test(element)) value = values[entry.pattern];
+      if (value === undefined) {
+        if (model.codes.notInitializedValue) {
+          fail(model.codes.notInitializedValue, element + ' has not been set.');
+        } else {
+          fail(0);
+        }
+        return '';
+      }
+      fail(0);
+      return value;
+    }
+
+    function setValue(element, value) {
+      element = String(element);
+      value = value === undefined || value === null ? '' : String(value);
+      if (checkState('set')) return 'false';
+      if (!element) return fail(201, 'No element name given.') && 'false';
+
+      var entry = lookup(element);
+      if (!entry) {
+        var keyword = /\._(children|count|version)$/.test(element);
+        fail(keyword ? model.codes.keyword : model.codes.undefinedElement,
+          element + (keyword ? ' is a keyword and cannot be set.' : ' is not part of the ' + model.name + ' data model.'));
+        return 'false';
+      }
+      if (entry.definition.access === 'ro') {
+        fail(model.codes.readOnly, element + ' is read only.');
+        return 'false';
+      }
+      if (entry.definition.check && !entry.definition.check(value)) {
+        fail(model.codes.typeMismatch, '"' + value + '" is not a valid value for ' + element + '.');
+        return 'false';
+      }
+      if (entry.definition.suspend && value.length > model.suspendLimit) {
+        if (settings.oversized === 'reject') {
+          fail(model.codes.typeMismatch, 'suspend_data is ' + value.length + ' characters; the ' + model.name + ' limit is ' + model.suspendLimit + '.');
+          return 'false';
+        }
+        if (settings.oversized === 'truncate') {
+          // Like LMSs that cut the value short and still report success
+          value = value.slice(0, model.suspendLimit);
+        }
+      }
+
+      // Records are added in order: index n may only follow n - 1
+      for (var i = 0; i < entry.collections.length; i++) {
+        var collection = entry.collections[i];
+        var size = count(collection.path);
+        if (collection.index > size) {
+          fail(model.codes.outOfOrder, collection.path + '.' + collection.index + ' set before ' + collection.path + '.' + size + '.');
+          return 'false';
+        }
+        if (collection.index === size && !/\.id$/.test(element) && model === SCORM2004 &&
+            /^cmi\.(objectives|interactions)$/.test(collection.path)) {
+          fail(408, collection.path + '.' + collection.index + '.id must be set first.');
+          return 'false';
+        }
+      }
+      entry.collections.forEach(function(collection) {
+        if (collection.index === count(collection.path)) {
+          values[collection.path + '._count'] = String(collection.index + 1);
+        }
+      });
+
+      values[element] = value;
+      fail(0);
+      return 'true';
+    }
+
+    function save() {
+      committed = {};
+      Object.keys(values).forEach(function(key) { committed[key] = values[key]; });
+      if (settings.persist) {
+        writeJSON(dataKey(model, settings), { values: committed, savedAt: Date.now() });
+      }
+    }
+
+    function initialize(arg) {
+      if (arg !== '' && arg !== undefined) return fail(201, 'The argument must be an empty string.') && 'false';
+      if (state === 'running') return fail(model.codes.alreadyInitialized, 'Already initialized.') && 'false';
+      if (state === 'terminated') return fail(codeFor('terminated', 'initialize'), 'The session has ended; reload the course.') && 'false';
+      reset(committed);
+      state = 'running';
+      fail(0);
+      return 'true';
+    }
+
+    function commit(arg) {
+      if (arg !== '' && arg !== undefined) return fail(201, 'The argument must be an empty string.') && 'false';
+      if (checkState('commit')) return 'false';
+      if (settings.offline) return fail(model.codes.commitFailed, 'Offline is switched on in the mock LMS.') && 'false';
+      save();
+      fail(0);
+      return 'true';
+    }
+
+    function terminate(arg) {
+      if (arg !== '' && arg !== undefined) return fail(201, 'The argument must be an empty string.') && 'false';
+      if (checkState('terminate')) return 'false';
+      if (settings.offline) return fail(model.codes.commitFailed, 'Offline is switched on in the mock LMS.') && 'false';
+
+      // Work out the next launch's entry and total time, as an LMS does
+      var exit = values[model.exitElement] || '';
+      values[model.totalTimeElement] = model.addTime(values[model.totalTimeElement], values[model.sessionTimeElement]);
+      values[model.entryElement] = exit === 'suspend' ? 'resume' : '';
+      delete values[model.exitElement];
+      delete values[model.sessionTimeElement];
+      save();
+      state = 'terminated';
+      fail(0);
+      return 'true';
+    }
+
+    reset(committed);
+
+    var handlers = {
+      initialize: initialize,
+      terminate: terminate,
+      getValue: getValue,
+      setValue: setValue,
+      commit: commit,
+      getLastError: function() { return String(lastError); },
+      getErrorString: function(code) { return model.errors[code] || ''; },
+      getDiagnostic: function(code) {
+        if (code === '' || code === undefined || String(code) === String(lastError)) return diagnostic || model.errors[lastError] || '';
+        return model.errors[code] || '';
+      }
+    };
+
+    var api = {};
+    Object.keys(model.methods).forEach(function(name) {
+      var method = model.methods[name];
+      api[method] = function() {
+        var args = Array.prototype.slice.call(arguments);
+        var result = handlers[name].apply(null, args);
+        onCall({
+          method: method,
+          args: args,
+          result: result,
+          error: /^getLast|^getError|^getDiag/.test(name) ? 0 : lastError,
+          diagnostic: /^getLast|^getError|^getDiag/.test(name) ? '' : diagnostic
+        });
+        return result;
+      };
+    });
+
+    return {
+      api: api,
+      values: function() { return values; },
+      committed: function() { return committed; },
+      state: function() { return state; }
+    };
+  }
+
+  // ============ INSPECTOR ============
+
+  function preview(value) {
+    var text = String(value);
+    return text.length > VALUE_PREVIEW ? text.slice(0, VALUE_PREVIEW) + '… (' + text.length + ' characters)' : text;
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function init() {
+    var settings = loadSettings();
+    var params = new URLSearchParams(location.search);
+    var model = params.get('standard') === '2004' ? SCORM2004 : SCORM12;
+    var startTime = Date.now();
+    var session = null;
+    var logFilter = '';
+
+    var ui = {
+      frame: document.getElementById('mock-course'),
+      standard: document.getElementById('mock-standard'),
+      learnerId: document.getElementById('mock-learner-id'),
+      learnerName: document.getElementById('mock-learner-name'),
+      persist: document.getElementById('mock-persist'),
+      offline: document.getElementById('mock-offline'),
+      oversized: document.getElementById('mock-oversized'),
+      showNoisy: document.getElementById('mock-show-noisy'),
+      reload: document.getElementById('mock-reload'),
+      reset: document.getElementById('mock-reset'),
+      download: document.getElementById('mock-download'),
+      state: document.getElementById('mock-state'),
+      notice: document.getElementById('mock-notice'),
+      data: document.getElementById('mock-data'),
+      filter: document.getElementById('mock-filter'),
+      clear: document.getElementById('mock-clear'),
+      log: document.getElementById('mock-log')
+    };
+
+    ui.standard.value = model === SCORM2004 ? '2004' : '1.2';
+    ui.learnerId.value = settings.learnerId;
+    ui.learnerName.value = settings.learnerName;
+    ui.persist.checked = settings.persist;
+    ui.offline.checked = settings.offline;
+    ui.oversized.value = settings.oversized;
+    ui.showNoisy.checked = settings.showNoisy;
+
+    function renderState() {
+      var values = session ? session.values() : {};
+      var suspend = values['cmi.suspend_data'] || '';
+      ui.state.textContent = model.name + ' · ' + (session ? session.state() : 'loading') +
+        ' · suspend_data ' + suspend.length + ' / ' + model.suspendLimit + ' characters' +
+        (settings.offline ? ' · offline' : '');
+      ui.state.classList.toggle('mock-over', suspend.length > model.suspendLimit);
+    }
+
+    function renderData() {
+      var values = session.values();
+      var committed = session.committed();
+      var body = document.createDocumentFragment();
+      Object.keys(values).sort().forEach(function(key) {
+        if (/\._children$/.test(key) || /\.N\./.test(key)) return;
+        var row = el('tr');
+        var changed = committed[key] !== values[key];
+        row.appendChild(el('th', '', key));
+        var cell = el('td', changed ? 'mock-uncommitted' : '', preview(values[key]));
+        cell.title = changed ? 'Not committed yet' : '';
+        row.appendChild(cell);
+        body.appendChild(row);
+      });
+      ui.data.textContent = '';
+      ui.data.appendChild(body);
+      renderState();
+    }
+
+    function addLogRow(call) {
+      var row = el('li', 'mock-call' + (call.error ? ' mock-error' : '') + (NOISY_METHODS.test(call.method) ? ' mock-noisy' : ''));
+      var seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+      row.appendChild(el('span', 'mock-time', seconds + 's'));
+      row.appendChild(el('span', 'mock-method', call.method));
+      row.appendChild(el('span', 'mock-args', call.args.map(function(arg) { return JSON.stringify(preview(arg)); }).join(', ')));
+      row.appendChild(el('span', 'mock-result', '→ ' + JSON.stringify(preview(call.result))));
+      if (call.error) {
+        row.appendChild(el('span', 'mock-code', call.error + ' ' + (model.errors[call.error] || '') + (call.diagnostic ? ': ' + call.diagnostic : '')));
+      }
+      row.dataset.text = (call.method + ' ' + call.args.join(' ')).toLowerCase();
+      row.hidden = !matchesFilter(row);
+      ui.log.appendChild(row);
+      while (ui.log.children.length > MAX_LOG_ROWS) ui.log.removeChild(ui.log.firstChild);
+      if (!row.hidden) row.scrollIntoView({ block: 'nearest' });
+    }
+
+    function matchesFilter(row) {
+      if (!settings.showNoisy && row.classList.contains('mock-noisy')) return false;
+      return !logFilter || row.dataset.text.indexOf(logFilter) !== -1;
+    }
+
+    function applyFilter() {
+      Array.prototype.forEach.call(ui.log.children, function(row) {
+        row.hidden = !matchesFilter(row);
+      });
+    }
+
+    function showNotice(message) {
+      ui.notice.textContent = message;
+      ui.notice.hidden = !message;
+    }
+
+    function onCall(call) {
+      addLogRow(call);
+      if (/Initialize|SetValue|Commit|Finish|Terminate/.test(call.method)) renderData();
+    }
+
+    function launch() {
+      loadManifest().then(function(manifest) {
+        session = createAPI(model, settings, manifest, onCall);
+        delete window.API;
+        delete window.API_1484_11;
+        window[model.windowName] = session.api;
+        renderData();
+        ui.frame.src = COURSE_URL;
+      });
+    }
+
+    // scormdriver picks its standard from driverOptions.js; say so when it
+    // looked for the other API
+    ui.frame.addEventListener('load', function() {
+      var driver;
+      try {
+        driver = ui.frame.contentWindow;
+      } catch (e) {
+        return;
+      }
+      if (!driver || !driver.strLMSStandard) return;
+      var standard = String(driver.strLMSStandard).toUpperCase();
+      if (model === SCORM2004 && standard === 'SCORM') {
+        showNotice('driverOptions.js sets strLMSStandard to "SCORM", so the course only looks for the SCORM 1.2 API. Set it to "AUTO" or "SCORM2004" to test SCORM 2004.');
+      } else if (model === SCORM12 && standard === 'SCORM2004') {
+        showNotice('driverOptions.js sets strLMSStandard to "SCORM2004"; switch the mock LMS to SCORM 2004 or set it to "AUTO".');
+      } else if (session && session.state() === 'new') {
+        showNotice('The course has not called ' + model.methods.initialize + ' yet. Open the browser console for scormdriver errors.');
+      } else {
+        showNotice('');
+      }
+    });
+
+    function updateSetting(key, value) {
+      settings[key] = value;
+      saveSettings(settings);
+      renderState();
+    }
+
+    ui.standard.addEventListener('change', function() {
+      params.set('standard', ui.standard.value);
+      location.search = params.toString();
+    });
+    ui.learnerId.addEventListener('change', function() {
+      updateSetting('learnerId', ui.learnerId.value.trim() || DEFAULT_SETTINGS.learnerId);
+      location.reload();
+    });
+    ui.learnerName.addEventListener('change', function() {
+      updateSetting('learnerName', ui.learnerName.value.trim() || DEFAULT_SETTINGS.learnerName);
+      location.reload();
+    });
+    ui.persist.addEventListener('change', function() { updateSetting('persist', ui.persist.checked); });
+    ui.offline.addEventListener('change', function() { updateSetting('offline', ui.offline.checked); });
+    ui.oversized.addEventListener('change', function() { updateSetting('oversized', ui.oversized.value); });
+    ui.showNoisy.addEventListener('change', function() {
+      updateSetting('showNoisy', ui.showNoisy.checked);
+      applyFilter();
+    });
+    ui.filter.addEventListener('input', function() {
+      logFilter = ui.filter.value.trim().toLowerCase();
+      applyFilter();
+    });
+    ui.clear.addEventListener('click', function() {
+      ui.log.textContent = '';
+    });
+    ui.reload.addEventListener('click', function() {
+      location.reload();
+    });
+    ui.reset.addEventListener('click', function() {
+      if (!window.confirm('Delete the saved ' + model.name + ' data for ' + settings.learnerId + ' and relaunch?')) return;
+      try {
+        localStorage.removeItem(dataKey(model, settings));
+      } catch (e) {
+        console.warn('Mock LMS: could not clear saved data:', e);
+      }
+      location.reload();
+    });
+    ui.download.addEventListener('click', function() {
+      var blob = new Blob([JSON.stringify({ standard: model.name, values: session.values() }, null, 2)], { type: 'application/json' });
+      var link = el('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'mock-lms-' + settings.learnerId + '.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+    });
+
+    launch();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
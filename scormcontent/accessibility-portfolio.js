@@ -8,11 +8,13 @@
 
   // ============ CONSTANTS ============
   const STORAGE_KEY = 'accessibilitySettings';
+  const LMS_STORAGE_KEY = 'a11y';
   const ANIMATION_DURATION = 300;
   const TTS_TOOLTIP_DURATION = 4000;
   const DEBOUNCE_DELAY = 100;
   const INFographic_DELAY = 1000;
   const INFographic_HASH_DELAY = 1200;
+  const READER_RETRY_DELAY = 400;
 
   // ============ STATE MANAGEMENT ============
   const state = {
@@ -21,21 +23,79 @@
     textSpacing: 0,
     dyslexia: 0,
     focusIndicator: 0,
+    readingGuide: 0,
     hideImages: 0,
     textToSpeech: 0,
-    blueLightFilter: 0
+    blueLightFilter: 0,
+    reducedMotion: 0,
+    // Speech preferences shared by selection reading and reading mode
+    ttsRate: 0.9,
+    ttsPitch: 1,
+    ttsVoice: '',
+    // Reading mask window height in pixels (readingGuide level 2)
+    readingMaskHeight: 120,
+    // Text adjustment sliders; -1 = follow the Large Text / Text Spacing presets
+    fontScale: -1,
+    lineHeight: -1,
+    letterSpacing: -1,
+    wordSpacing: -1,
+    paragraphSpacing: -1
   };
 
+  // Slider ranges for the expanded panel view (WCAG 1.4.12 text spacing)
+  const TEXT_ADJUST_RANGES = {
+    fontScale: { label: 'Text size', min: 100, max: 200, step: 5, unit: '%' },
+    lineHeight: { label: 'Line height', min: 1, max: 2.5, step: 0.05, unit: '' },
+    letterSpacing: { label: 'Letter spacing', min: 0, max: 0.3, step: 0.01, unit: 'em' },
+    wordSpacing: { label: 'Word spacing', min: 0, max: 0.5, step: 0.02, unit: 'em' },
+    paragraphSpacing: { label: 'Paragraph spacing', min: 0, max: 3, step: 0.25, unit: 'em' }
+  };
+
+  // Level presets (index = level) shared by the level buttons and the sliders
+  const LARGE_TEXT_PRESETS = [
+    null,
+    { fontPercent: 110, lineHeight: 1.55, paragraphLineHeight: 1.65 },
+    { fontPercent: 124, lineHeight: 1.7, paragraphLineHeight: 1.85 }
+  ];
+  const TEXT_SPACING_PRESETS = [
+    null,
+    { letterSpacing: 0.08, wordSpacing: 0.15, lineHeight: 1.6 },
+    { letterSpacing: 0.12, wordSpacing: 0.25, lineHeight: 1.8 }
+  ];
+
+  // Slider overrides dropped when the matching preset button is used
+  const PRESET_OVERRIDES = {
+    largeText: ['fontScale', 'lineHeight'],
+    textSpacing: ['letterSpacing', 'wordSpacing', 'lineHeight']
+  };
+
+  const BODY_SCOPE_SELECTOR = 'body:not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"])';
+  const TEXT_SCOPE_SELECTOR = `${BODY_SCOPE_SELECTOR} *:not(#accessibility-container):not(#accessibility-container *):not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"]):not([class*="articulate"]):not([id*="articulate"])`;
+
+  // Snapshot of the defaults, used to expand compacted LMS copies
+  const DEFAULT_STATE = Object.assign({}, state);
+
+  // Saved values for features that have not been registered yet (see register())
+  const unclaimedSettings = {};
+
+  // Settings the learner chose themselves; OS-detected defaults never override these
+  const explicitSettings = new Set();
+
+  // Keyboard shortcuts remapped by the learner (action id -> "Alt+Shift+X", '' = unbound)
+  const shortcutOverrides = {};
+
   // Settings configuration for e-learning
   const settingsConfig = {
-    contrast: { levels: 2, binary: false, label: 'Contrast', description: 'Increase contrast for better visibility' },
+    contrast: { levels: 3, binary: false, label: 'Contrast', description: 'Switch to a high-contrast colour theme', levelLabels: ['Black on white', 'Dark', 'Yellow on black'] },
     largeText: { levels: 2, binary: false, label: 'Large Text', description: 'Increase text size for better readability' },
     textSpacing: { levels: 2, binary: false, label: 'Text Spacing', description: 'Increase spacing between letters and words' },
     dyslexia: { levels: 2, binary: false, label: 'Dyslexia Friendly', description: 'Use dyslexia-friendly fonts and spacing' },
     focusIndicator: { levels: 2, binary: false, label: 'Focus Indicator', description: 'Enhance keyboard focus indicators' },
+    readingGuide: { levels: 2, binary: false, label: 'Reading Guide', description: 'Show a reading ruler or mask that follows the pointer and keyboard' },
     hideImages: { levels: 1, binary: true, label: 'Hide Images', description: 'Reduce image visibility to focus on text' },
-    textToSpeech: { levels: 1, binary: true, label: 'Text to Speech', description: 'Read selected text aloud' },
-    blueLightFilter: { levels: 2, binary: false, label: 'Blue Light Filter', description: 'Reduce blue light for eye comfort' }
+    textToSpeech: { levels: 1, binary: true, label: 'Text to Speech', description: 'Read selected text or the whole lesson aloud' },
+    blueLightFilter: { levels: 2, binary: false, label: 'Blue Light Filter', description: 'Reduce blue light for eye comfort' },
+    reducedMotion: { levels: 1, binary: true, label: 'Reduce Motion', description: 'Stop animations, transitions and autoplaying media' }
   };
 
   // ============ UTILITY FUNCTIONS ============
@@ -66,6 +126,40 @@
     }
   };
 
+  /**
+   * LMS suspend-data operations via the runtime's SuspendData bridge (index.html).
+   * Every call is a no-op when the course runs without an LMS API.
+   */
+  const lmsStorage = {
+    isAvailable: function() {
+      try {
+        return !!(window.SuspendData && window.SuspendData.isAvailable());
+      } catch (e) {
+        return false;
+      }
+    },
+    get: function(key) {
+      if (!this.isAvailable()) return null;
+      try {
+        const value = window.SuspendData.get(key);
+        return value && typeof value === 'object' ? value : null;
+      } catch (e) {
+        console.warn('Error reading from LMS suspend data:', e);
+        return null;
+      }
+    },
+    set: function(key, value) {
+      if (!this.isAvailable()) return false;
+      try {
+        window.SuspendData.set(key, value);
+        return true;
+      } catch (e) {
+        console.warn('Error writing to LMS suspend data:', e);
+        return false;
+      }
+    }
+  };
+
   /**
    * Debounce function to limit function calls
    */
@@ -145,24 +239,165 @@
   // ============ SETTINGS MANAGEMENT ============
   
   /**
-   * Load settings from localStorage
+   * Drop default values so the LMS copy stays small (suspend data is size-limited)
+   */
+  function compactSettings(snapshot) {
+    const compact = {};
+    Object.keys(snapshot).forEach(key => {
+      // `explicit` stays even when empty: its absence marks a pre-tracking copy
+      if (key === 'updatedAt' || key === 'explicit' || snapshot[key] !== DEFAULT_STATE[key]) {
+        compact[key] = snapshot[key];
+      }
+    });
+    return compact;
+  }
+
+  /**
+   * Merge the localStorage and LMS copies; the most recently saved copy wins
+   */
+  function mergeSettings(local, remote) {
+    if (!remote) return local;
+    const expanded = Object.assign({}, DEFAULT_STATE, remote);
+    if (!local) return expanded;
+    return (expanded.updatedAt || 0) > (local.updatedAt || 0)
+      ? Object.assign({}, local, expanded)
+      : Object.assign({}, expanded, local);
+  }
+
+  /**
+   * Load settings from localStorage and the LMS, then bring both copies in sync
    */
   function loadSettings() {
-    const saved = storage.get(STORAGE_KEY);
+    const local = storage.get(STORAGE_KEY);
+    const remote = lmsStorage.get(LMS_STORAGE_KEY);
+    const saved = mergeSettings(
+      local && typeof local === 'object' ? local : null,
+      remote
+    );
     if (saved && typeof saved === 'object') {
       Object.keys(state).forEach(key => {
-        if (key in saved && typeof saved[key] === 'number') {
+        if (key in saved && typeof saved[key] === typeof DEFAULT_STATE[key]) {
           state[key] = saved[key];
         }
       });
+      if (Array.isArray(saved.explicit)) {
+        saved.explicit.forEach(key => explicitSettings.add(key));
+      } else {
+        // Copies saved before explicit choices were tracked: anything switched on was chosen
+        Object.keys(state).forEach(key => {
+          if (state[key] !== DEFAULT_STATE[key]) explicitSettings.add(key);
+        });
+      }
+      if (saved.shortcuts && typeof saved.shortcuts === 'object') {
+        Object.keys(saved.shortcuts).forEach(id => {
+          const combo = saved.shortcuts[id];
+          if (combo === '' || (typeof combo === 'string' && normalizeShortcut(combo) === combo)) {
+            shortcutOverrides[id] = combo;
+          }
+        });
+      }
+      // Keep values of custom features that register later
+      Object.keys(saved).forEach(key => {
+        if (!(key in state) && key !== 'updatedAt' && typeof saved[key] === 'number') {
+          unclaimedSettings[key] = saved[key];
+        }
+      });
+    }
+
+    // Carry learner choices to whichever copy is missing or stale
+    if (saved && (!local || !remote || local.updatedAt !== remote.updatedAt)) {
+      saveSettings(saved.updatedAt);
+    }
+  }
+
+  /**
+   * Save settings to localStorage and, when connected, to LMS suspend data
+   */
+  function saveSettings(updatedAt) {
+    const snapshot = Object.assign({}, unclaimedSettings, state, {
+      explicit: Array.from(explicitSettings),
+      shortcuts: Object.assign({}, shortcutOverrides),
+      updatedAt: updatedAt || Date.now()
+    });
+    storage.set(STORAGE_KEY, snapshot);
+    lmsStorage.set(LMS_STORAGE_KEY, compactSettings(snapshot));
+  }
+
+  // ============ SYSTEM PREFERENCES ============
+  const SYSTEM_QUERIES = {
+    forcedColors: '(forced-colors: active)',
+    moreContrast: '(prefers-contrast: more)',
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    darkScheme: '(prefers-color-scheme: dark)'
+  };
+
+  // Settings that may be preset from OS preferences
+  const SYSTEM_SETTINGS = ['contrast', 'blueLightFilter', 'reducedMotion'];
+
+  function matchesMedia(query) {
+    try {
+      return !!(window.matchMedia && window.matchMedia(query).matches);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Map OS-level preferences onto setting levels
+   */
+  function getSystemDefaults() {
+    const defaults = {};
+    const dark = matchesMedia(SYSTEM_QUERIES.darkScheme);
+    if (matchesMedia(SYSTEM_QUERIES.forcedColors)) {
+      // The OS palette already applies; a warm tint would only fight it
+      defaults.contrast = dark ? 2 : 1;
+      defaults.blueLightFilter = 0;
+    } else {
+      // High contrast follows the OS light/dark choice: black on white or dark theme
+      if (matchesMedia(SYSTEM_QUERIES.moreContrast)) defaults.contrast = dark ? 2 : 1;
+      if (dark) defaults.blueLightFilter = 1;
     }
+    if (matchesMedia(SYSTEM_QUERIES.reducedMotion)) defaults.reducedMotion = 1;
+    return defaults;
+  }
+
+  /**
+   * Apply OS-detected defaults to every setting the learner hasn't chosen explicitly
+   * @returns {boolean} true when a setting changed
+   */
+  function applySystemDefaults() {
+    const detected = getSystemDefaults();
+    let changed = false;
+    SYSTEM_SETTINGS.forEach(key => {
+      if (explicitSettings.has(key)) return;
+      const value = key in detected ? detected[key] : DEFAULT_STATE[key];
+      if (state[key] !== value) {
+        state[key] = value;
+        changed = true;
+      }
+    });
+    return changed;
   }
 
   /**
-   * Save settings to localStorage
+   * Follow live changes to OS preferences
    */
-  function saveSettings() {
-    storage.set(STORAGE_KEY, state);
+  function watchSystemPreferences() {
+    if (!window.matchMedia) return;
+    const onChange = () => {
+      if (!applySystemDefaults()) return;
+      applyAllSettings();
+      updateUI();
+      announceToScreenReader('Accessibility settings updated to match your system preferences');
+    };
+    Object.keys(SYSTEM_QUERIES).forEach(name => {
+      const mql = window.matchMedia(SYSTEM_QUERIES[name]);
+      if (mql.addEventListener) {
+        mql.addEventListener('change', onChange);
+      } else if (mql.addListener) {
+        mql.addListener(onChange);
+      }
+    });
   }
 
   /**
@@ -213,6 +448,17 @@
     return `${baseSelector}:not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"]):not([class*="articulate"]):not([id*="articulate"]):not([data-rise]):not([data-articulate]):not(rise-player):not(articulate-player)`;
   }
 
+  /**
+   * Describe a setting level for labels and announcements ("off", "on", a level name or "level N")
+   */
+  function describeLevel(key, level) {
+    const config = settingsConfig[key];
+    if (!level) return 'off';
+    if (config?.binary) return 'on';
+    const named = config?.levelLabels?.[level - 1];
+    return named || `level ${level}`;
+  }
+
   /**
    * Toggle a setting value (async to prevent UI blocking)
    */
@@ -224,6 +470,8 @@
     }
 
     const oldValue = state[setting];
+    explicitSettings.add(setting);
+    clearPresetOverrides(setting);
 
     if (config.binary) {
       state[setting] = oldValue === 0 ? 1 : 0;
@@ -239,8 +487,7 @@
       requestAnimationFrame(() => {
     updateUI();
         // Announce change to screen readers
-        const level = state[setting] === 0 ? 'off' : `level ${state[setting]}`;
-        announceToScreenReader(`${config.label} ${level}`);
+        announceToScreenReader(`${config.label} ${describeLevel(setting, state[setting])}`);
       });
     });
   }
@@ -248,20 +495,116 @@
   // ============ STYLE APPLICATION ============
   
   /**
-   * Apply filter styles (contrast)
+   * Colour themes for the contrast levels. All text/background pairs meet WCAG AAA (7:1).
    */
-  function applyFilters() {
-    const filters = [];
-    
-    if (state.contrast === 1) {
-      filters.push('contrast(1.3)');
-    } else if (state.contrast === 2) {
-      filters.push('contrast(1.6)', 'brightness(1.15)');
-    }
+  const CONTRAST_THEMES = [
+    { name: 'Black on white', background: '#ffffff', surface: '#f2f2f2', text: '#000000', link: '#0b3d91', accent: '#000000', border: '#000000' },
+    { name: 'Dark', background: '#121212', surface: '#1f1f1f', text: '#f1f1f1', link: '#9ecbff', accent: '#9ecbff', border: '#bdbdbd' },
+    { name: 'Yellow on black', background: '#000000', surface: '#000000', text: '#ffff00', link: '#00ffff', accent: '#ffff00', border: '#ffff00' }
+  ];
+
+  function hexToRgbList(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return `${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}`;
+  }
+
+  /**
+   * Build the stylesheet for a contrast theme. Rise colours come from CSS custom
+   * properties, so those are overridden first; elements are then recoloured
+   * directly. Media (img, video, canvas, svg) and image/overlay containers keep
+   * their own backgrounds.
+   */
+  function buildContrastThemeCss(theme) {
+    const keepBackground = ':not(img):not(video):not(canvas):not(picture):not(iframe):not(svg):not(svg *)' +
+      ':not([class*="image"]):not([class*="media"]):not([class*="overlay"]):not([style*="background-image"])';
+    return `
+      html, body {
+        background-color: ${theme.background} !important;
+      }
+      #app, #app * {
+        --color-theme: ${theme.accent} !important;
+        --color-theme-contrast: ${theme.background} !important;
+        --color-theme-contrast-rgb: ${hexToRgbList(theme.background)} !important;
+        --color-theme-decorative: ${theme.accent} !important;
+        --color-theme-decorative-fg: ${theme.background} !important;
+        --color-background: ${theme.background} !important;
+        --color-background-contrast: ${theme.text} !important;
+        --color-background-contrast-rgb: ${hexToRgbList(theme.text)} !important;
+        --color-text: ${theme.text} !important;
+        --color-title: ${theme.text} !important;
+        --color-header-text: ${theme.text} !important;
+        --color-action: ${theme.link} !important;
+        --color-button-text: ${theme.background} !important;
+        --color-button-contrast: ${theme.background} !important;
+        --color-border-decorative: ${theme.border} !important;
+        --color-nav-overlay-bg: ${theme.background} !important;
+        --color-nav-overlay-contrast: ${theme.text} !important;
+        --color-nav-sidebar-contrast: ${theme.text} !important;
+        --color-nav-compact-contrast: ${theme.text} !important;
+        --color-cover-contrast: ${theme.text} !important;
+      }
+      #app, #app *:not(img):not(video):not(canvas):not(picture):not(iframe) {
+        color: ${theme.text} !important;
+        text-shadow: none !important;
+      }
+      #app${keepBackground}, #app *${keepBackground} {
+        background-color: ${theme.background} !important;
+        border-color: ${theme.border} !important;
+      }
+      #app a, #app a * {
+        color: ${theme.link} !important;
+      }
+      #app p a, #app li a {
+        text-decoration: underline !important;
+      }
+      #app button${keepBackground}, #app [role="button"]${keepBackground},
+      #app input${keepBackground}, #app select, #app textarea,
+      #app .quiz-card__button, #app .block-knowledge .quiz-card__interactive {
+        background-color: ${theme.surface} !important;
+        color: ${theme.text} !important;
+        border: 2px solid ${theme.border} !important;
+      }
+      #app button:hover, #app button:focus, #app [role="button"]:hover, #app [role="button"]:focus,
+      #app .quiz-card__button:hover, #app .quiz-card__button:focus {
+        background-color: ${theme.accent} !important;
+        color: ${theme.background} !important;
+      }
+      #app button:hover *, #app button:focus *, #app [role="button"]:hover *, #app [role="button"]:focus * {
+        color: ${theme.background} !important;
+      }
+      #app [aria-checked="true"], #app [aria-selected="true"], #app [aria-pressed="true"],
+      #app .quiz-card__feedback--active {
+        outline: 3px solid ${theme.accent} !important;
+        outline-offset: 2px;
+      }
+      #app svg {
+        color: ${theme.text};
+      }
+      #app ::selection {
+        background-color: ${theme.accent} !important;
+        color: ${theme.background} !important;
+      }
+      html:not(.a11y-hide-images) #app img,
+      html:not(.a11y-hide-images) #app video,
+      html:not(.a11y-hide-images) #app canvas,
+      html:not(.a11y-hide-images) #app picture,
+      html:not(.a11y-hide-images) #app iframe {
+        filter: none !important;
+      }
+    `;
+  }
 
-    if (domCache.app) {
-      domCache.app.style.filter = filters.length > 0 ? filters.join(' ') : '';
+  /**
+   * Apply contrast colour theme
+   */
+  function applyContrastTheme() {
+    const theme = CONTRAST_THEMES[state.contrast - 1];
+    if (!theme) {
+      removeStyleElement('contrast-theme-style');
+      return;
     }
+    const style = getOrCreateStyleElement('contrast-theme-style');
+    style.textContent = buildContrastThemeCss(theme);
   }
 
   /**
@@ -314,10 +657,11 @@
       return;
     }
 
-      const baseFontPercent = state.largeText === 1 ? 110 : 124;
-      const globalLineHeight = state.largeText === 1 ? 1.55 : 1.7;
-      const paragraphLineHeight = state.largeText === 1 ? 1.65 : 1.85;
-    
+    const preset = LARGE_TEXT_PRESETS[state.largeText];
+    const baseFontPercent = preset.fontPercent;
+    const globalLineHeight = preset.lineHeight;
+    const paragraphLineHeight = preset.paragraphLineHeight;
+
     const style = getOrCreateStyleElement('large-text-style');
     style.textContent = `
         html {
@@ -372,10 +716,11 @@
       return;
     }
 
-    const letterSpacing = state.textSpacing === 1 ? '0.08em' : '0.12em';
-    const wordSpacing = state.textSpacing === 1 ? '0.15em' : '0.25em';
-    const lineHeight = state.textSpacing === 1 ? '1.6' : '1.8';
-    
+    const preset = TEXT_SPACING_PRESETS[state.textSpacing];
+    const letterSpacing = `${preset.letterSpacing}em`;
+    const wordSpacing = `${preset.wordSpacing}em`;
+    const lineHeight = String(preset.lineHeight);
+
     const style = getOrCreateStyleElement('text-spacing-style');
     style.textContent = `
       body:not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"]) *:not(#accessibility-container):not(#accessibility-container *):not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"]):not([class*="articulate"]):not([id*="articulate"]) {
@@ -389,6 +734,52 @@
     `;
   }
 
+  /**
+   * Apply slider values (expanded panel view). Values of -1 follow the level presets;
+   * anything else overrides them, hence !important.
+   */
+  function applyTextAdjustments() {
+    const rules = [];
+    if (state.fontScale >= 0) {
+      rules.push(`
+        html {
+          font-size: ${state.fontScale}% !important;
+        }
+        #accessibility-container {
+          font-size: 14px;
+        }
+      `);
+    }
+
+    const textRules = [];
+    if (state.lineHeight >= 0) textRules.push(`line-height: ${state.lineHeight} !important;`);
+    if (state.letterSpacing >= 0) textRules.push(`letter-spacing: ${state.letterSpacing}em !important;`);
+    if (state.wordSpacing >= 0) textRules.push(`word-spacing: ${state.wordSpacing}em !important;`);
+    if (textRules.length > 0) {
+      rules.push(`
+        ${TEXT_SCOPE_SELECTOR} {
+          ${textRules.join('\n          ')}
+          overflow-wrap: break-word;
+        }
+      `);
+    }
+
+    if (state.paragraphSpacing >= 0) {
+      rules.push(`
+        ${BODY_SCOPE_SELECTOR} p:not([class*="rise"]):not([id*="rise"]):not([class*="Rise"]):not([id*="Rise"]) {
+          margin-bottom: ${state.paragraphSpacing}em !important;
+        }
+      `);
+    }
+
+    if (rules.length === 0) {
+      removeStyleElement('text-adjust-style');
+      return;
+    }
+    const style = getOrCreateStyleElement('text-adjust-style');
+    style.textContent = rules.join('\n');
+  }
+
   /**
    * Apply dyslexia-friendly styles
    */
@@ -441,6 +832,8 @@
    * Apply hide images styles
    */
   function applyHideImages() {
+    // The contrast themes clear image filters only while this class is absent
+    document.documentElement.classList.toggle('a11y-hide-images', state.hideImages !== 0);
     if (state.hideImages === 0) {
       removeStyleElement('hide-images-style');
       return;
@@ -471,6 +864,80 @@
     `;
   }
 
+  let autoplayObserver = null;
+
+  /**
+   * Stop autoplaying audio/video (Rise banner and media blocks)
+   */
+  function stopAutoplay(root) {
+    if (!root || root.nodeType !== Node.ELEMENT_NODE) return;
+    const media = root.matches('video[autoplay], audio[autoplay]')
+      ? [root]
+      : root.querySelectorAll('video[autoplay], audio[autoplay]');
+    media.forEach(el => {
+      el.autoplay = false;
+      el.removeAttribute('autoplay');
+      try {
+        el.pause();
+      } catch (e) {
+        // Media not ready yet; without autoplay it won't start
+      }
+    });
+  }
+
+  /**
+   * Apply reduced motion styles
+   */
+  function applyReducedMotion() {
+    if (state.reducedMotion === 0) {
+      removeStyleElement('reduced-motion-style');
+      if (autoplayObserver) {
+        autoplayObserver.disconnect();
+        autoplayObserver = null;
+      }
+      return;
+    }
+
+    const style = getOrCreateStyleElement('reduced-motion-style');
+    style.textContent = `
+      *, *::before, *::after {
+        animation-duration: 0.01ms !important;
+        animation-delay: 0s !important;
+        animation-iteration-count: 1 !important;
+        transition-duration: 0.01ms !important;
+        transition-delay: 0s !important;
+        scroll-behavior: auto !important;
+      }
+      /* Rise block entrance (animateBlockEntrance): show blocks in place */
+      .scroll-animation > * {
+        opacity: 1 !important;
+        transform: none !important;
+      }
+      /* Hover growth on the floating buttons (accessibility toggle, AI assistant) */
+      .hover\\:scale-110:hover,
+      .ai-nav-fab:hover,
+      button:active {
+        transform: none !important;
+      }
+      #tts-tooltip {
+        animation: none !important;
+        transform: translateX(-50%) !important;
+      }
+      #tts-speaking-indicator {
+        animation: none !important;
+      }
+    `;
+
+    stopAutoplay(domCache.app);
+    if (!autoplayObserver && domCache.app) {
+      // Rise renders media blocks lazily, so catch them as they appear
+      autoplayObserver = new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(stopAutoplay));
+      });
+      autoplayObserver.observe(domCache.app, { childList: true, subtree: true });
+    }
+  }
+
   /**
    * Apply focus indicator styles
    */
@@ -505,6 +972,242 @@
     `;
   }
 
+  // ============ READING GUIDE ============
+  const READING_MASK_MIN = 40;
+  const READING_MASK_MAX = 400;
+  const READING_MASK_STEP = 20;
+  const READING_GUIDE_EXCLUDE = '#accessibility-container, #ai-assistant-toggle, #ai-modal-root';
+
+  const readingGuide = {
+    ruler: null,
+    maskTop: null,
+    maskBottom: null,
+    lineTop: 0,
+    lineBottom: 0,
+    frame: 0,
+    listening: false
+  };
+
+  /**
+   * Apply reading guide: level 1 = thin ruler under the current line,
+   * level 2 = dim everything outside a window around it
+   */
+  function applyReadingGuide() {
+    if (state.readingGuide === 0) {
+      disableReadingGuide();
+      return;
+    }
+
+    const style = getOrCreateStyleElement('reading-guide-style');
+    style.textContent = `
+      #reading-guide-ruler, .reading-guide-mask {
+        position: fixed;
+        left: 0;
+        width: 100%;
+        pointer-events: none;
+        z-index: 999990;
+      }
+      #reading-guide-ruler {
+        height: 4px;
+        background: rgba(59, 130, 246, 0.85);
+        box-shadow: 0 0 0 1px rgba(255, 255, 255, 0.8);
+      }
+      .reading-guide-mask {
+        background: rgba(17, 24, 39, 0.6);
+      }
+      #reading-guide-mask-top {
+        top: 0;
+      }
+      /* Keep the accessibility controls above the guide, undimmed */
+      #accessibility-container {
+        z-index: 999995;
+      }
+    `;
+
+    const isMask = state.readingGuide === 2;
+    if (isMask && !readingGuide.maskTop) {
+      readingGuide.ruler?.remove();
+      readingGuide.ruler = null;
+      readingGuide.maskTop = createReadingGuideElement('reading-guide-mask-top', 'reading-guide-mask');
+      readingGuide.maskBottom = createReadingGuideElement('reading-guide-mask-bottom', 'reading-guide-mask');
+    } else if (!isMask && !readingGuide.ruler) {
+      removeReadingMask();
+      readingGuide.ruler = createReadingGuideElement('reading-guide-ruler', '');
+    }
+
+    if (!readingGuide.listening) {
+      document.addEventListener('pointermove', handleReadingGuidePointer, { passive: true });
+      document.addEventListener('focusin', handleReadingGuideFocus);
+      document.addEventListener('selectionchange', handleReadingGuideCaret);
+      document.addEventListener('keydown', handleReadingGuideResize);
+      readingGuide.listening = true;
+    }
+
+    if (!readingGuide.lineBottom) {
+      const middle = window.innerHeight / 2;
+      readingGuide.lineTop = middle - 12;
+      readingGuide.lineBottom = middle + 12;
+    }
+    positionReadingGuide();
+  }
+
+  /**
+   * Create an overlay element on <html> so body filters (blue light) don't offset it
+   */
+  function createReadingGuideElement(id, className) {
+    const el = document.createElement('div');
+    el.id = id;
+    if (className) el.className = className;
+    el.setAttribute('aria-hidden', 'true');
+    document.documentElement.appendChild(el);
+    return el;
+  }
+
+  function removeReadingMask() {
+    readingGuide.maskTop?.remove();
+    readingGuide.maskBottom?.remove();
+    readingGuide.maskTop = null;
+    readingGuide.maskBottom = null;
+  }
+
+  /**
+   * Remove reading guide overlays and listeners
+   */
+  function disableReadingGuide() {
+    readingGuide.ruler?.remove();
+    readingGuide.ruler = null;
+    removeReadingMask();
+    if (readingGuide.listening) {
+      document.removeEventListener('pointermove', handleReadingGuidePointer);
+      document.removeEventListener('focusin', handleReadingGuideFocus);
+      document.removeEventListener('selectionchange', handleReadingGuideCaret);
+      document.removeEventListener('keydown', handleReadingGuideResize);
+      readingGuide.listening = false;
+    }
+    cancelAnimationFrame(readingGuide.frame);
+    readingGuide.frame = 0;
+    removeStyleElement('reading-guide-style');
+  }
+
+  /**
+   * Move the guide to a line (viewport coordinates), at most once per frame
+   */
+  function moveReadingGuide(top, bottom) {
+    readingGuide.lineTop = top;
+    readingGuide.lineBottom = bottom;
+    if (readingGuide.frame) return;
+    readingGuide.frame = requestAnimationFrame(() => {
+      readingGuide.frame = 0;
+      positionReadingGuide();
+    });
+  }
+
+  function positionReadingGuide() {
+    const { lineTop, lineBottom } = readingGuide;
+    if (readingGuide.ruler) {
+      readingGuide.ruler.style.top = `${Math.round(lineBottom + 2)}px`;
+    }
+    if (readingGuide.maskTop && readingGuide.maskBottom) {
+      const height = Math.max(READING_MASK_MIN, Math.min(READING_MASK_MAX, state.readingMaskHeight));
+      const center = (lineTop + lineBottom) / 2;
+      const windowTop = Math.max(0, Math.round(center - height / 2));
+      readingGuide.maskTop.style.height = `${windowTop}px`;
+      readingGuide.maskBottom.style.top = `${windowTop + height}px`;
+      readingGuide.maskBottom.style.height = `${Math.max(0, window.innerHeight - windowTop - height)}px`;
+    }
+  }
+
+  /**
+   * Follow the pointer, but not onto the accessibility panel or assistant
+   */
+  function handleReadingGuidePointer(e) {
+    if (e.target?.closest?.(READING_GUIDE_EXCLUDE)) return;
+    moveReadingGuide(e.clientY - 12, e.clientY + 12);
+  }
+
+  /**
+   * Follow keyboard focus
+   */
+  function handleReadingGuideFocus(e) {
+    const target = e.target;
+    if (!target?.getBoundingClientRect || target.closest(READING_GUIDE_EXCLUDE)) return;
+    const rect = target.getBoundingClientRect();
+    // Tall elements (whole blocks): guide their first line
+    const bottom = rect.height > 80 ? rect.top + 32 : rect.bottom;
+    moveReadingGuide(rect.top, bottom);
+  }
+
+  /**
+   * Follow the caret (caret browsing or a collapsed selection in the lesson)
+   */
+  function handleReadingGuideCaret() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer;
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!el || el.closest(READING_GUIDE_EXCLUDE)) return;
+    const rect = range.getClientRects()[0] || el.getBoundingClientRect();
+    if (rect.height) moveReadingGuide(rect.top, rect.bottom);
+  }
+
+  /**
+   * Alt+Shift+ArrowUp / ArrowDown resizes the mask window
+   */
+  function handleReadingGuideResize(e) {
+    if (state.readingGuide !== 2 || !e.altKey || !e.shiftKey) return;
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    setReadingMaskHeight(state.readingMaskHeight + (e.key === 'ArrowUp' ? READING_MASK_STEP : -READING_MASK_STEP));
+  }
+
+  /**
+   * Set the mask window height in pixels and persist it
+   */
+  function setReadingMaskHeight(height) {
+    const n = Number(height);
+    if (!isFinite(n)) return;
+    state.readingMaskHeight = Math.max(READING_MASK_MIN, Math.min(READING_MASK_MAX, Math.round(n)));
+    saveSettings();
+    positionReadingGuide();
+    syncReadingMaskUI();
+    announceToScreenReader(`Reading mask window ${state.readingMaskHeight} pixels`);
+  }
+
+  /**
+   * Show the mask height slider while the mask is on and reflect the current height
+   */
+  function syncReadingMaskUI() {
+    const row = document.getElementById('reading-mask-adjust');
+    const input = document.getElementById('a11y-reading-mask-height');
+    if (!row || !input) return;
+    row.hidden = state.readingGuide !== 2;
+    input.value = String(state.readingMaskHeight);
+    input.setAttribute('aria-valuetext', `${state.readingMaskHeight} pixels`);
+    const output = document.querySelector(`output[for="${input.id}"]`);
+    if (output) output.textContent = `${state.readingMaskHeight}px`;
+  }
+
+  /**
+   * Wire the mask height slider under the Reading Guide option (markup in index.html)
+   */
+  function initReadingMaskUI() {
+    const input = document.getElementById('a11y-reading-mask-height');
+    if (!input) return;
+    input.min = String(READING_MASK_MIN);
+    input.max = String(READING_MASK_MAX);
+    input.step = String(READING_MASK_STEP);
+    // Live preview while dragging, persist and announce on release
+    input.addEventListener('input', () => {
+      state.readingMaskHeight = Number(input.value);
+      positionReadingGuide();
+      const output = document.querySelector(`output[for="${input.id}"]`);
+      if (output) output.textContent = `${state.readingMaskHeight}px`;
+    });
+    input.addEventListener('change', () => setReadingMaskHeight(input.value));
+    syncReadingMaskUI();
+  }
+
   /**
    * Apply all accessibility settings (async to prevent blocking)
    */
@@ -515,40 +1218,189 @@
     
     // Use requestAnimationFrame to prevent blocking UI
     requestAnimationFrame(() => {
-      applyFilters();
-      applyLargeText();
-      applyTextSpacing();
-      applyDyslexiaStyles();
-      applyHideImages();
-      applyFocusIndicator();
-      applyBlueLightFilter();
-      
-      // Text to Speech
-      if (state.textToSpeech === 1) {
-        enableTextToSpeech();
-      } else {
-        disableTextToSpeech();
-      }
+      Object.keys(features).forEach(key => {
+        try {
+          features[key].update(state[key]);
+        } catch (e) {
+          console.warn(`Error applying accessibility setting ${key}:`, e);
+        }
+      });
     });
   }, DEBOUNCE_DELAY);
 
-  // ============ TEXT TO SPEECH ============
-  let speechSynthesis = null;
-  let textToSpeechHandler = null;
-  let ttsTooltip = null;
-  let ttsIndicator = null;
+  // ============ FEATURE REGISTRY ============
 
   /**
-   * Check if speech synthesis is available
+   * Appliers keyed by setting. Built-in appliers read `state` themselves and
+   * are idempotent; custom features are wrapped by registerFeature().
    */
-  function isSpeechSynthesisAvailable() {
-    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
-  }
+  const features = {
+    contrast: { update: applyContrastTheme },
+    largeText: { update: applyLargeText },
+    textSpacing: { update: applyTextSpacing },
+    dyslexia: { update: applyDyslexiaStyles },
+    focusIndicator: { update: applyFocusIndicator },
+    readingGuide: { update: applyReadingGuide },
+    hideImages: { update: applyHideImages },
+    textToSpeech: {
+      update: function(level) {
+        if (level === 1) {
+          enableTextToSpeech();
+        } else {
+          disableTextToSpeech();
+        }
+      }
+    },
+    blueLightFilter: { update: applyBlueLightFilter },
+    reducedMotion: { update: applyReducedMotion },
+    // Not a level setting: slider values from the expanded panel view
+    textAdjust: { update: applyTextAdjustments }
+  };
+
+  let initialized = false;
 
   /**
-   * Enable text-to-speech functionality
+   * Register a custom accessibility feature.
+   * apply(level, context) runs when the level changes to a value above 0;
+   * remove(context) runs when it returns to 0.
+   * icon is an image URL or inline SVG markup.
+   * @returns {boolean} true when registered
    */
-  function enableTextToSpeech() {
+  function registerFeature(definition) {
+    const def = definition || {};
+    const key = def.key;
+    if (typeof key !== 'string' || !/^[A-Za-z][\w-]*$/.test(key)) {
+      console.warn('A11yPortfolio.register: a key made of letters, digits, "-" or "_" is required');
+      return false;
+    }
+    if (key in features || key in state) {
+      console.warn(`A11yPortfolio.register: "${key}" is already registered`);
+      return false;
+    }
+    if (typeof def.apply !== 'function') {
+      console.warn(`A11yPortfolio.register: "${key}" needs an apply function`);
+      return false;
+    }
+
+    const binary = !!def.binary;
+    const levels = binary ? 1 : Math.max(1, Math.floor(Number(def.levels) || 1));
+    const config = {
+      levels: levels,
+      binary: binary,
+      label: def.label || key,
+      description: def.description || '',
+      icon: def.icon || '',
+      levelLabels: Array.isArray(def.levelLabels) ? def.levelLabels.map(String) : undefined,
+      custom: true
+    };
+    const context = {
+      key: key,
+      config: config,
+      getStyleElement: getOrCreateStyleElement,
+      removeStyleElement: removeStyleElement,
+      announce: announceToScreenReader
+    };
+
+    let appliedLevel = 0;
+    settingsConfig[key] = config;
+    features[key] = {
+      update: function(level) {
+        if (level === appliedLevel) return;
+        appliedLevel = level;
+        if (level > 0) {
+          def.apply(level, context);
+        } else if (typeof def.remove === 'function') {
+          def.remove(context);
+        }
+      }
+    };
+
+    // Restore a value saved before this feature was registered
+    const saved = unclaimedSettings[key];
+    state[key] = typeof saved === 'number' ? Math.max(0, Math.min(levels, Math.round(saved))) : 0;
+    DEFAULT_STATE[key] = 0;
+    delete unclaimedSettings[key];
+
+    if (initialized) {
+      addOptionButton(key);
+      applyAllSettings();
+      updateUI();
+    }
+    return true;
+  }
+
+  /**
+   * Generate a panel button for a setting that has no markup in index.html
+   */
+  function addOptionButton(key) {
+    const grid = domCache.panel?.querySelector('.grid');
+    if (!grid || grid.querySelector(`.accessibility-option[data-setting="${key}"]`)) return;
+    const config = settingsConfig[key];
+
+    const option = document.createElement('button');
+    option.className = 'accessibility-option flex flex-col items-center p-3 rounded-xl border-2 border-gray-200 bg-gray-50 hover:border-purple-400/40 hover:bg-purple-600/30 transition-all cursor-pointer min-h-52px';
+    option.dataset.setting = key;
+    option.type = 'button';
+    option.setAttribute('aria-pressed', 'false');
+    option.setAttribute('role', 'switch');
+    option.tabIndex = 0;
+
+    if (/^\s*<svg[\s>]/i.test(config.icon)) {
+      const template = document.createElement('template');
+      template.innerHTML = config.icon.trim();
+      const svg = template.content.firstElementChild;
+      svg.setAttribute('class', 'w-8 h-8 mb-2');
+      svg.setAttribute('aria-hidden', 'true');
+      option.appendChild(svg);
+    } else if (config.icon) {
+      const img = document.createElement('img');
+      img.src = config.icon;
+      img.alt = '';
+      img.className = 'w-8 h-8 mb-2';
+      img.style.filter = 'brightness(0.5)';
+      img.setAttribute('aria-hidden', 'true');
+      option.appendChild(img);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'text-xs text-center font-medium text-gray-700';
+    label.textContent = config.label;
+    option.appendChild(label);
+
+    const indicators = document.createElement('div');
+    indicators.className = 'flex gap-2 mt-2 w-full justify-center';
+    indicators.setAttribute('aria-hidden', 'true');
+    for (let i = 0; i < config.levels; i++) {
+      const indicator = document.createElement('span');
+      indicator.className = 'level-indicator h-1 w-11 rounded-sm bg-gray-300';
+      indicators.appendChild(indicator);
+    }
+    option.appendChild(indicators);
+
+    // Custom buttons go before the Reset button row
+    const resetRow = domCache.resetBtn?.parentElement;
+    grid.insertBefore(option, resetRow && resetRow.parentElement === grid ? resetRow : null);
+    bindOptionButton(option);
+    domCache.options = document.querySelectorAll('.accessibility-option');
+  }
+
+  // ============ TEXT TO SPEECH ============
+  let speechSynthesis = null;
+  let textToSpeechHandler = null;
+  let ttsTooltip = null;
+  let ttsIndicator = null;
+
+  /**
+   * Check if speech synthesis is available
+   */
+  function isSpeechSynthesisAvailable() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+
+  /**
+   * Enable text-to-speech functionality
+   */
+  function enableTextToSpeech() {
     if (!isSpeechSynthesisAvailable()) {
       console.warn('Speech synthesis is not available in this browser');
       return;
@@ -563,7 +1415,7 @@
     ttsTooltip.id = 'tts-tooltip';
     ttsTooltip.setAttribute('role', 'status');
     ttsTooltip.setAttribute('aria-live', 'polite');
-    ttsTooltip.textContent = 'Text-to-Speech Active: Select any text to hear it read aloud';
+    ttsTooltip.textContent = 'Text-to-Speech Active: Select any text, or press Play to hear the lesson';
     ttsTooltip.style.cssText = `
       position: fixed;
       top: 20px;
@@ -577,7 +1429,7 @@
       font-weight: 500;
       box-shadow: 0 4px 20px rgba(59, 130, 246, 0.4);
       z-index: 999999;
-      animation: slideInDown 0.3s ease-out;
+      ${state.reducedMotion ? '' : 'animation: slideInDown 0.3s ease-out;'}
       pointer-events: none;
       user-select: none;
     `;
@@ -586,7 +1438,7 @@
     // Remove tooltip after duration
     setTimeout(() => {
       if (ttsTooltip?.parentNode) {
-        ttsTooltip.style.animation = 'slideOutUp 0.3s ease-out';
+        if (!state.reducedMotion) ttsTooltip.style.animation = 'slideOutUp 0.3s ease-out';
         setTimeout(() => {
           if (ttsTooltip?.parentNode) {
             ttsTooltip.remove();
@@ -604,10 +1456,8 @@
         if (selectedText.length > 0 && selectedText.length < 10000) { // Limit length
           speechSynthesis.cancel();
           
-          const utterance = new SpeechSynthesisUtterance(selectedText);
-          utterance.rate = 0.9;
-          utterance.pitch = 1;
-          utterance.volume = 1;
+          stopReading();
+          const utterance = createUtterance(selectedText);
           
           utterance.onstart = function() {
             if (!ttsIndicator) {
@@ -628,7 +1478,7 @@
               font-weight: 500;
               box-shadow: 0 4px 12px rgba(34, 197, 94, 0.3);
               z-index: 999999;
-              animation: pulse 1s infinite;
+              ${state.reducedMotion ? '' : 'animation: pulse 1s infinite;'}
               pointer-events: none;
               user-select: none;
             `;
@@ -656,80 +1506,1221 @@
       }, 100);
     };
 
-    document.addEventListener('mouseup', textToSpeechHandler);
-    document.addEventListener('touchend', textToSpeechHandler);
-    
-    // Add CSS animation styles
-    const style = getOrCreateStyleElement('tts-animations');
-    style.textContent = `
-      @keyframes slideInDown {
-        from {
-          opacity: 0;
-          transform: translateX(-50%) translateY(-20px);
-        }
-        to {
-          opacity: 1;
-          transform: translateX(-50%) translateY(0);
-        }
-      }
-      @keyframes slideOutUp {
-        from {
-          opacity: 1;
-          transform: translateX(-50%) translateY(0);
-        }
-        to {
-          opacity: 0;
-          transform: translateX(-50%) translateY(-20px);
-        }
-      }
-      @keyframes pulse {
-        0%, 100% {
-          transform: scale(1);
-        }
-        50% {
-          transform: scale(1.05);
-        }
+    document.addEventListener('mouseup', textToSpeechHandler);
+    document.addEventListener('touchend', textToSpeechHandler);
+
+    showReaderToolbar();
+    
+    // Add CSS animation styles
+    const style = getOrCreateStyleElement('tts-animations');
+    style.textContent = `
+      @keyframes slideInDown {
+        from {
+          opacity: 0;
+          transform: translateX(-50%) translateY(-20px);
+        }
+        to {
+          opacity: 1;
+          transform: translateX(-50%) translateY(0);
+        }
+      }
+      @keyframes slideOutUp {
+        from {
+          opacity: 1;
+          transform: translateX(-50%) translateY(0);
+        }
+        to {
+          opacity: 0;
+          transform: translateX(-50%) translateY(-20px);
+        }
+      }
+      @keyframes pulse {
+        0%, 100% {
+          transform: scale(1);
+        }
+        50% {
+          transform: scale(1.05);
+        }
+      }
+      ::highlight(${READER_HIGHLIGHT_NAME}) {
+        background-color: #fde68a;
+        color: #111827;
+      }
+      [data-a11y-reading="true"] {
+        outline: 3px solid #3b82f6;
+        outline-offset: 4px;
+        border-radius: 4px;
+      }
+    `;
+  }
+
+  /**
+   * Disable text-to-speech functionality
+   */
+  function disableTextToSpeech() {
+    stopReading();
+    removeReaderToolbar();
+
+    if (textToSpeechHandler) {
+      document.removeEventListener('mouseup', textToSpeechHandler);
+      document.removeEventListener('touchend', textToSpeechHandler);
+      textToSpeechHandler = null;
+    }
+    
+    // Clear text selection
+    if (window.getSelection) {
+      const selection = window.getSelection();
+      if (selection && selection.removeAllRanges) {
+        selection.removeAllRanges();
+      }
+    }
+    
+    // Remove tooltip
+    if (ttsTooltip?.parentNode) {
+      ttsTooltip.remove();
+      ttsTooltip = null;
+    }
+    
+    // Remove indicator
+    if (ttsIndicator?.parentNode) {
+      ttsIndicator.remove();
+      ttsIndicator = null;
+    }
+    
+    // Remove animation styles
+    removeStyleElement('tts-animations');
+    
+    // Cancel speech
+    if (speechSynthesis) {
+    speechSynthesis.cancel();
+    }
+  }
+
+  // ============ READING MODE ============
+  const READER_BLOCK_SELECTOR = '[data-block-id]';
+  const READER_FALLBACK_SELECTOR = 'section, [class*="block-wrapper"]';
+  const READER_BREAK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, figcaption, td, th, label, button';
+  const READER_HIGHLIGHT_NAME = 'a11y-reading-sentence';
+
+  const reader = {
+    playing: false,
+    paused: false,
+    block: null,
+    blockId: '',
+    sentences: [],
+    index: 0,
+    runId: 0,
+    toolbar: null,
+    playBtn: null,
+    statusEl: null
+  };
+
+  /**
+   * Clamp a speech preference to the range the Web Speech API accepts
+   */
+  function clampSpeechValue(value, fallback) {
+    const n = Number(value);
+    return isFinite(n) ? Math.max(0.5, Math.min(2, n)) : fallback;
+  }
+
+  /**
+   * Find the learner's chosen voice, if the browser still offers it
+   */
+  function getSelectedVoice() {
+    if (!state.ttsVoice || !isSpeechSynthesisAvailable()) return null;
+    return window.speechSynthesis.getVoices().find(v => v.voiceURI === state.ttsVoice) || null;
+  }
+
+  /**
+   * Create an utterance using the saved rate, pitch and voice
+   */
+  function createUtterance(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = clampSpeechValue(state.ttsRate, DEFAULT_STATE.ttsRate);
+    utterance.pitch = clampSpeechValue(state.ttsPitch, DEFAULT_STATE.ttsPitch);
+    utterance.volume = 1;
+    const voice = getSelectedVoice();
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    return utterance;
+  }
+
+  /**
+   * Update speech preferences (rate, pitch, voice) and persist them
+   */
+  function setSpeechOptions(options) {
+    if (!options || typeof options !== 'object') return;
+    if ('rate' in options) state.ttsRate = clampSpeechValue(options.rate, state.ttsRate);
+    if ('pitch' in options) state.ttsPitch = clampSpeechValue(options.pitch, state.ttsPitch);
+    if ('voice' in options) state.ttsVoice = typeof options.voice === 'string' ? options.voice : '';
+    saveSettings();
+    syncReaderSettingsUI();
+  }
+
+  /**
+   * Get the Rise blocks of the current lesson in document order
+   */
+  function getReadableBlocks() {
+    const app = domCache.app || document.body;
+    let blocks = Array.from(app.querySelectorAll(READER_BLOCK_SELECTOR));
+    if (blocks.length === 0) {
+      blocks = Array.from(app.querySelectorAll(READER_FALLBACK_SELECTOR));
+    }
+    // Keep the outermost blocks that actually contain text
+    return blocks.filter(block =>
+      !blocks.some(other => other !== block && other.contains(block)) &&
+      !block.closest('#accessibility-container') &&
+      (block.textContent || '').trim().length > 0
+    );
+  }
+
+  /**
+   * Build a DOM range covering text offsets collected by collectSentences
+   */
+  function createRangeForOffsets(pieces, start, end) {
+    const range = document.createRange();
+    let startSet = false;
+    for (let i = 0; i < pieces.length; i++) {
+      const piece = pieces[i];
+      const pieceEnd = piece.start + piece.node.nodeValue.length;
+      if (!startSet && start < pieceEnd) {
+        range.setStart(piece.node, Math.max(0, start - piece.start));
+        startSet = true;
+      }
+      if (startSet && end <= pieceEnd) {
+        range.setEnd(piece.node, end - piece.start);
+        return range;
+      }
+    }
+    return startSet ? range : null;
+  }
+
+  /**
+   * Split a block's visible text into sentences, keeping a range for each
+   */
+  function collectSentences(block) {
+    const pieces = [];
+    let text = '';
+    let lastBreak = null;
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+      acceptNode: function(node) {
+        const parent = node.parentElement;
+        if (!parent || !node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+        if (parent.closest('script, style, noscript, [aria-hidden="true"], #accessibility-container')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        // Skip text hidden with display: none (e.g. the back of a flashcard)
+        if (parent.getClientRects().length === 0) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      // Headings, list items and paragraphs never run into each other
+      const breakEl = node.parentElement.closest(READER_BREAK_SELECTOR);
+      if (text && breakEl !== lastBreak) text += '\n';
+      lastBreak = breakEl;
+      pieces.push({ node: node, start: text.length });
+      text += node.nodeValue;
+    }
+
+    const sentences = [];
+    const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*)?/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const raw = match[0];
+      const spoken = raw.trim();
+      if (!/[A-Za-z0-9]/.test(spoken)) continue;
+      const start = match.index + (raw.length - raw.replace(/^\s+/, '').length);
+      sentences.push({
+        text: spoken,
+        range: createRangeForOffsets(pieces, start, start + spoken.length)
+      });
+    }
+    return sentences;
+  }
+
+  /**
+   * Highlight the sentence being read (CSS Custom Highlight API where supported;
+   * other browsers still get the block outline)
+   */
+  function highlightSentence(sentence) {
+    clearSentenceHighlight();
+    if (!sentence || !sentence.range) return;
+    if (window.CSS && CSS.highlights && typeof window.Highlight === 'function') {
+      CSS.highlights.set(READER_HIGHLIGHT_NAME, new window.Highlight(sentence.range));
+    }
+  }
+
+  function clearSentenceHighlight() {
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(READER_HIGHLIGHT_NAME);
+    }
+  }
+
+  /**
+   * Mark a block as the one being read and bring it into view
+   */
+  function markReaderBlock(block) {
+    document.querySelectorAll('[data-a11y-reading]').forEach(el => el.removeAttribute('data-a11y-reading'));
+    if (!block) return;
+    block.setAttribute('data-a11y-reading', 'true');
+    block.scrollIntoView({ behavior: state.reducedMotion ? 'auto' : 'smooth', block: 'center' });
+  }
+
+  /**
+   * Locate the current block again (Rise may have re-rendered it)
+   */
+  function findReaderBlockIndex(blocks) {
+    let index = blocks.indexOf(reader.block);
+    if (index === -1 && reader.blockId) {
+      index = blocks.findIndex(block => block.getAttribute('data-block-id') === reader.blockId);
+    }
+    return index;
+  }
+
+  /**
+   * First block whose bottom edge is below the top of the viewport
+   */
+  function findFirstVisibleBlock(blocks) {
+    return blocks.find(block => block.getBoundingClientRect().bottom > 0) || blocks[0];
+  }
+
+  /**
+   * Start reading a block at the given sentence
+   */
+  function readBlock(block, sentenceIndex) {
+    reader.block = block;
+    reader.blockId = block.getAttribute('data-block-id') || '';
+    reader.sentences = collectSentences(block);
+    reader.index = Math.max(0, Math.min(sentenceIndex || 0, reader.sentences.length));
+    markReaderBlock(block);
+    speakCurrentSentence();
+  }
+
+  /**
+   * Speak the current sentence; moves on to the next block when the block is done
+   */
+  function speakCurrentSentence() {
+    const runId = ++reader.runId;
+    window.speechSynthesis.cancel();
+
+    if (reader.index >= reader.sentences.length) {
+      goToBlock(1);
+      return;
+    }
+
+    const sentence = reader.sentences[reader.index];
+    highlightSentence(sentence);
+    updateReaderToolbar();
+
+    const utterance = createUtterance(sentence.text);
+    utterance.onend = function() {
+      if (runId !== reader.runId) return;
+      reader.index++;
+      speakCurrentSentence();
+    };
+    utterance.onerror = function(event) {
+      if (runId !== reader.runId) return;
+      console.warn('Speech synthesis error:', event.error);
+      stopReading();
+    };
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Move to the previous (-1) or next (+1) block
+   */
+  function goToBlock(delta, retried) {
+    const blocks = getReadableBlocks();
+    if (blocks.length === 0) {
+      stopReading();
+      return;
+    }
+    const current = findReaderBlockIndex(blocks);
+    const target = current === -1 ? findFirstVisibleBlock(blocks) : blocks[current + delta];
+
+    if (target) {
+      readBlock(target, 0);
+      return;
+    }
+
+    if (delta < 0) {
+      readBlock(blocks[Math.max(0, current)], 0);
+      return;
+    }
+
+    // Rise renders blocks lazily; scroll past the last one and look once more
+    if (!retried && reader.block) {
+      const runId = ++reader.runId;
+      reader.block.scrollIntoView({ block: 'end' });
+      setTimeout(() => {
+        if (runId === reader.runId && reader.playing) goToBlock(1, true);
+      }, READER_RETRY_DELAY);
+      return;
+    }
+
+    stopReading();
+    announceToScreenReader('Finished reading this lesson');
+  }
+
+  /**
+   * Start or resume reading mode
+   */
+  function startReading() {
+    if (!isSpeechSynthesisAvailable()) {
+      announceToScreenReader('Text to speech is not available in this browser');
+      return;
+    }
+    speechSynthesis = window.speechSynthesis;
+
+    if (reader.playing && reader.paused) {
+      reader.paused = false;
+      speakCurrentSentence();
+      return;
+    }
+    if (reader.playing) return;
+
+    const blocks = getReadableBlocks();
+    if (blocks.length === 0) {
+      announceToScreenReader('There is nothing to read on this page yet');
+      return;
+    }
+    reader.playing = true;
+    reader.paused = false;
+    readBlock(findFirstVisibleBlock(blocks), 0);
+  }
+
+  /**
+   * Pause reading; resuming repeats the interrupted sentence
+   */
+  function pauseReading() {
+    if (!reader.playing || reader.paused) return;
+    reader.paused = true;
+    reader.runId++;
+    window.speechSynthesis.cancel();
+    updateReaderToolbar();
+  }
+
+  function toggleReading() {
+    if (reader.playing && !reader.paused) {
+      pauseReading();
+    } else {
+      startReading();
+    }
+  }
+
+  /**
+   * Stop reading mode and clear highlights
+   */
+  function stopReading() {
+    if (!reader.playing && !reader.block) return;
+    reader.runId++;
+    reader.playing = false;
+    reader.paused = false;
+    reader.block = null;
+    reader.blockId = '';
+    reader.sentences = [];
+    reader.index = 0;
+    if (isSpeechSynthesisAvailable()) window.speechSynthesis.cancel();
+    clearSentenceHighlight();
+    markReaderBlock(null);
+    updateReaderToolbar();
+  }
+
+  /**
+   * Step through sentences; crossing a block edge moves to the neighbouring block
+   */
+  function stepSentence(delta) {
+    if (!reader.playing) {
+      startReading();
+      return;
+    }
+    const next = reader.index + delta;
+    if (next < 0) {
+      goToBlock(-1);
+      return;
+    }
+    reader.paused = false;
+    reader.index = next;
+    speakCurrentSentence();
+  }
+
+  /**
+   * Skip forward a block, or back to the start of this block (then the previous one)
+   */
+  function stepBlock(delta) {
+    if (!reader.playing) {
+      startReading();
+      return;
+    }
+    reader.paused = false;
+    if (delta < 0 && reader.index > 0) {
+      reader.index = 0;
+      speakCurrentSentence();
+      return;
+    }
+    goToBlock(delta);
+  }
+
+  /**
+   * Create a toolbar button
+   */
+  function createReaderButton(label, symbol, handler) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.setAttribute('aria-label', label);
+    btn.title = label;
+    btn.innerHTML = `<span aria-hidden="true">${symbol}</span>`;
+    btn.style.cssText = `
+      width: 40px;
+      height: 40px;
+      border: 0;
+      border-radius: 50%;
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      font-size: 16px;
+      cursor: pointer;
+    `;
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handler();
+    });
+    return btn;
+  }
+
+  /**
+   * Create a labelled range slider for a speech preference
+   */
+  function createReaderSlider(label, key, option) {
+    const wrap = document.createElement('label');
+    wrap.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 13px;';
+    wrap.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0.5';
+    input.max = '2';
+    input.step = '0.1';
+    input.dataset.ttsPref = key;
+    input.style.cssText = 'flex: 1;';
+    input.addEventListener('change', () => {
+      setSpeechOptions({ [option]: parseFloat(input.value) });
+    });
+    wrap.appendChild(input);
+    return wrap;
+  }
+
+  /**
+   * Fill the voice picker once the browser has loaded its voices
+   */
+  function populateVoiceOptions() {
+    const select = reader.toolbar?.querySelector('select[data-tts-pref="ttsVoice"]');
+    if (!select || !isSpeechSynthesisAvailable()) return;
+    const voices = window.speechSynthesis.getVoices();
+    select.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = 'Browser default';
+    select.appendChild(auto);
+    voices.forEach(voice => {
+      const opt = document.createElement('option');
+      opt.value = voice.voiceURI;
+      opt.textContent = `${voice.name} (${voice.lang})`;
+      select.appendChild(opt);
+    });
+    select.value = getSelectedVoice() ? state.ttsVoice : '';
+  }
+
+  /**
+   * Reflect saved speech preferences in the toolbar controls
+   */
+  function syncReaderSettingsUI() {
+    if (!reader.toolbar) return;
+    reader.toolbar.querySelectorAll('[data-tts-pref]').forEach(input => {
+      const key = input.dataset.ttsPref;
+      if (key === 'ttsVoice') {
+        input.value = getSelectedVoice() ? state.ttsVoice : '';
+      } else {
+        input.value = String(state[key]);
+        input.setAttribute('aria-valuetext', `${state[key]}x`);
+      }
+    });
+  }
+
+  /**
+   * Keyboard control while focus is in the toolbar:
+   * K toggles play/pause, arrows move by sentence, Shift+arrows by block, Escape stops.
+   */
+  function handleReaderKeydown(e) {
+    if (e.target.matches('input, select')) return;
+    const key = e.key;
+    let handled = true;
+    if (key === 'k' || key === 'K') {
+      toggleReading();
+    } else if (key === 'ArrowRight' || key === 'ArrowLeft') {
+      const delta = key === 'ArrowRight' ? 1 : -1;
+      if (e.shiftKey) {
+        stepBlock(delta);
+      } else {
+        stepSentence(delta);
+      }
+    } else if (key === 'Escape' && reader.playing) {
+      stopReading();
+    } else {
+      handled = false;
+    }
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  /**
+   * Create the reading mode toolbar (play/pause, back, skip, stop, voice settings)
+   */
+  function createReaderToolbar() {
+    const bar = document.createElement('div');
+    bar.id = 'tts-reader-toolbar';
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Read aloud controls');
+    bar.setAttribute('aria-keyshortcuts', 'K ArrowLeft ArrowRight Shift+ArrowLeft Shift+ArrowRight Escape');
+    bar.style.cssText = `
+      position: fixed;
+      bottom: 24px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding: 8px 12px;
+      border-radius: 24px;
+      background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%);
+      color: white;
+      box-shadow: 0 10px 40px rgba(59, 130, 246, 0.4);
+      z-index: 999997;
+      max-width: calc(100vw - 200px);
+    `;
+
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+    reader.playBtn = createReaderButton('Read this lesson', '▶', toggleReading);
+    controls.appendChild(createReaderButton('Previous block', '⏮', () => stepBlock(-1)));
+    controls.appendChild(reader.playBtn);
+    controls.appendChild(createReaderButton('Next block', '⏭', () => stepBlock(1)));
+    controls.appendChild(createReaderButton('Stop reading', '⏹', stopReading));
+
+    reader.statusEl = document.createElement('span');
+    reader.statusEl.setAttribute('role', 'status');
+    reader.statusEl.setAttribute('aria-live', 'polite');
+    reader.statusEl.style.cssText = 'font-size: 13px; padding: 0 6px; white-space: nowrap;';
+    controls.appendChild(reader.statusEl);
+
+    const settings = document.createElement('div');
+    settings.id = 'tts-reader-settings';
+    settings.hidden = true;
+    settings.style.cssText = 'display: flex; flex-direction: column; gap: 6px; padding: 4px 6px 6px;';
+    settings.appendChild(createReaderSlider('Speed', 'ttsRate', 'rate'));
+    settings.appendChild(createReaderSlider('Pitch', 'ttsPitch', 'pitch'));
+    const voiceLabel = document.createElement('label');
+    voiceLabel.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 13px;';
+    voiceLabel.textContent = 'Voice';
+    const voiceSelect = document.createElement('select');
+    voiceSelect.dataset.ttsPref = 'ttsVoice';
+    voiceSelect.style.cssText = 'flex: 1; max-width: 220px; color: #111827;';
+    voiceSelect.addEventListener('change', () => setSpeechOptions({ voice: voiceSelect.value }));
+    voiceLabel.appendChild(voiceSelect);
+    settings.appendChild(voiceLabel);
+
+    const settingsBtn = createReaderButton('Voice settings', '⚙', () => {
+      settings.hidden = !settings.hidden;
+      settingsBtn.setAttribute('aria-expanded', String(!settings.hidden));
+    });
+    settingsBtn.setAttribute('aria-expanded', 'false');
+    settingsBtn.setAttribute('aria-controls', settings.id);
+    controls.appendChild(settingsBtn);
+
+    bar.appendChild(controls);
+    bar.appendChild(settings);
+    bar.addEventListener('keydown', handleReaderKeydown);
+    // Keep toolbar clicks from closing the panel or triggering selection reading
+    bar.addEventListener('mouseup', (e) => e.stopPropagation());
+    bar.addEventListener('touchend', (e) => e.stopPropagation());
+    return bar;
+  }
+
+  /**
+   * Show the toolbar inside the accessibility container (keeps it out of text styling)
+   */
+  function showReaderToolbar() {
+    if (reader.toolbar) return;
+    reader.toolbar = createReaderToolbar();
+    (domCache.container || document.body).appendChild(reader.toolbar);
+    populateVoiceOptions();
+    syncReaderSettingsUI();
+    updateReaderToolbar();
+    window.speechSynthesis.addEventListener?.('voiceschanged', populateVoiceOptions);
+  }
+
+  function removeReaderToolbar() {
+    if (!reader.toolbar) return;
+    if (isSpeechSynthesisAvailable()) {
+      window.speechSynthesis.removeEventListener?.('voiceschanged', populateVoiceOptions);
+    }
+    reader.toolbar.remove();
+    reader.toolbar = null;
+    reader.playBtn = null;
+    reader.statusEl = null;
+  }
+
+  /**
+   * Reflect play/pause state and position in the toolbar
+   */
+  function updateReaderToolbar() {
+    if (!reader.playBtn) return;
+    const speaking = reader.playing && !reader.paused;
+    const label = speaking ? 'Pause reading' : (reader.paused ? 'Resume reading' : 'Read this lesson');
+    reader.playBtn.setAttribute('aria-label', label);
+    reader.playBtn.title = label;
+    reader.playBtn.innerHTML = `<span aria-hidden="true">${speaking ? '⏸' : '▶'}</span>`;
+
+    if (!reader.statusEl) return;
+    if (!reader.playing) {
+      reader.statusEl.textContent = 'Read aloud';
+    } else {
+      const blocks = getReadableBlocks();
+      const position = findReaderBlockIndex(blocks) + 1;
+      const where = position > 0 ? `Block ${position} of ${blocks.length}` : 'Reading';
+      reader.statusEl.textContent = reader.paused ? `Paused · ${where}` : where;
+    }
+  }
+
+  // ============ TEXT ADJUSTMENT SLIDERS ============
+
+  /**
+   * Values the learner currently sees: slider overrides, else the level presets
+   */
+  function getEffectiveTextValues() {
+    const large = LARGE_TEXT_PRESETS[state.largeText];
+    const spacing = TEXT_SPACING_PRESETS[state.textSpacing];
+    const values = {
+      fontScale: large ? large.fontPercent : 100,
+      lineHeight: spacing ? spacing.lineHeight : (large ? large.paragraphLineHeight : 1.5),
+      letterSpacing: spacing ? spacing.letterSpacing : 0,
+      wordSpacing: spacing ? spacing.wordSpacing : 0,
+      paragraphSpacing: 1
+    };
+    Object.keys(TEXT_ADJUST_RANGES).forEach(key => {
+      if (state[key] >= 0) values[key] = state[key];
+    });
+    return values;
+  }
+
+  /**
+   * Set a slider value; null clears it so the level presets apply again
+   */
+  function setTextAdjustment(key, value) {
+    const range = TEXT_ADJUST_RANGES[key];
+    if (!range) return;
+    if (value === null) {
+      state[key] = DEFAULT_STATE[key];
+    } else {
+      const n = Number(value);
+      if (!isFinite(n)) return;
+      // Snap to the slider step to keep stored values short
+      const snapped = Math.round(n / range.step) * range.step;
+      state[key] = Number(Math.max(range.min, Math.min(range.max, snapped)).toFixed(2));
+    }
+    saveSettings();
+    applyAllSettings();
+    syncTextAdjustUI();
+  }
+
+  /**
+   * A level button is a quick preset: choosing one drops the slider overrides it covers
+   */
+  function clearPresetOverrides(setting) {
+    const keys = PRESET_OVERRIDES[setting];
+    if (!keys) return;
+    keys.forEach(key => {
+      state[key] = DEFAULT_STATE[key];
+    });
+  }
+
+  function formatTextValue(key, value) {
+    const range = TEXT_ADJUST_RANGES[key];
+    return range.unit === '%' ? `${Math.round(value)}%` : `${Number(value.toFixed(2))}${range.unit}`;
+  }
+
+  /**
+   * Reflect effective values in the sliders
+   */
+  function syncTextAdjustUI() {
+    const values = getEffectiveTextValues();
+    document.querySelectorAll('#text-adjust-panel input[data-text-adjust]').forEach(input => {
+      const key = input.dataset.textAdjust;
+      if (!(key in values)) return;
+      input.value = String(values[key]);
+      const text = formatTextValue(key, values[key]);
+      input.setAttribute('aria-valuetext', text);
+      const output = document.querySelector(`output[for="${input.id}"]`);
+      if (output) output.textContent = text;
+    });
+  }
+
+  /**
+   * Wire the expanded "Text adjustments" view (markup in index.html)
+   */
+  function initTextAdjustUI() {
+    const panel = document.getElementById('text-adjust-panel');
+    const toggle = document.getElementById('text-adjust-toggle');
+    if (!panel || !toggle) return;
+
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      panel.hidden = !panel.hidden;
+      toggle.setAttribute('aria-expanded', String(!panel.hidden));
+      if (!panel.hidden) syncTextAdjustUI();
+    });
+
+    panel.querySelectorAll('input[data-text-adjust]').forEach(input => {
+      const key = input.dataset.textAdjust;
+      const range = TEXT_ADJUST_RANGES[key];
+      if (!range) return;
+      input.min = String(range.min);
+      input.max = String(range.max);
+      input.step = String(range.step);
+      // Live preview while dragging, persist and announce on release
+      input.addEventListener('input', () => {
+        state[key] = Number(input.value);
+        applyAllSettings();
+        const output = document.querySelector(`output[for="${input.id}"]`);
+        if (output) output.textContent = formatTextValue(key, state[key]);
+      });
+      input.addEventListener('change', () => {
+        setTextAdjustment(key, input.value);
+        announceToScreenReader(`${range.label} ${formatTextValue(key, state[key])}`);
+      });
+    });
+
+    document.getElementById('text-adjust-reset')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      Object.keys(TEXT_ADJUST_RANGES).forEach(key => {
+        state[key] = DEFAULT_STATE[key];
+      });
+      saveSettings();
+      applyAllSettings();
+      syncTextAdjustUI();
+      announceToScreenReader('Text adjustments back to presets');
+    });
+
+    syncTextAdjustUI();
+  }
+
+  // ============ KEYBOARD SHORTCUTS ============
+
+  /**
+   * Default bindings. Alt+Shift (Option+Shift on Mac) with a letter or digit stays clear of
+   * Rise navigation (Tab, Enter, Space, arrows), screen-reader modifiers (Insert, Caps Lock,
+   * Ctrl+Option) and the single-letter keys screen readers use in browse mode.
+   */
+  const DEFAULT_SHORTCUTS = {
+    togglePanel: 'Alt+Shift+A',
+    toggleAssistant: 'Alt+Shift+Q',
+    showShortcuts: 'Alt+Shift+H',
+    contrast: 'Alt+Shift+C',
+    largeText: 'Alt+Shift+L',
+    textSpacing: 'Alt+Shift+S',
+    dyslexia: 'Alt+Shift+D',
+    focusIndicator: 'Alt+Shift+F',
+    readingGuide: 'Alt+Shift+G',
+    hideImages: 'Alt+Shift+I',
+    textToSpeech: 'Alt+Shift+R',
+    blueLightFilter: 'Alt+Shift+B',
+    reducedMotion: 'Alt+Shift+M'
+  };
+
+  const PANEL_SHORTCUT_ACTIONS = {
+    togglePanel: {
+      label: 'Open or close the accessibility panel',
+      run: () => togglePanelFromKeyboard()
+    },
+    toggleAssistant: {
+      label: 'Open or close the AI assistant',
+      run: () => toggleAssistant()
+    },
+    showShortcuts: {
+      label: 'Show keyboard shortcuts',
+      run: () => openShortcutHelp()
+    }
+  };
+
+  const shortcutHelp = {
+    overlay: null,
+    list: null,
+    status: null,
+    capturing: null,
+    returnFocus: null
+  };
+
+  /**
+   * Every bindable action: the panels first, then each setting (custom features included)
+   */
+  function getShortcutActions() {
+    const actions = Object.keys(PANEL_SHORTCUT_ACTIONS).map(id => ({
+      id,
+      label: PANEL_SHORTCUT_ACTIONS[id].label,
+      run: PANEL_SHORTCUT_ACTIONS[id].run
+    }));
+    Object.keys(settingsConfig).forEach(key => {
+      actions.push({
+        id: key,
+        label: `Cycle ${settingsConfig[key].label}`,
+        run: () => toggleSetting(key)
+      });
+    });
+    return actions;
+  }
+
+  /**
+   * Current binding for an action ('' when unbound)
+   */
+  function getShortcut(id) {
+    if (id in shortcutOverrides) return shortcutOverrides[id];
+    return DEFAULT_SHORTCUTS[id] || '';
+  }
+
+  /**
+   * Normalise "shift+alt+c" style text to "Alt+Shift+C"; '' when not a single letter or digit
+   */
+  function normalizeShortcut(text) {
+    const parts = String(text || '').split('+').map(p => p.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key || !/^[a-z0-9]$/i.test(key)) return '';
+    const modifiers = parts.map(p => p.toLowerCase());
+    if (modifiers.some(m => ['ctrl', 'meta', 'alt', 'shift'].indexOf(m) === -1)) return '';
+    return ['Ctrl', 'Meta', 'Alt', 'Shift']
+      .filter(m => modifiers.indexOf(m.toLowerCase()) !== -1)
+      .concat(key.toUpperCase())
+      .join('+');
+  }
+
+  /**
+   * Binding text for a keydown. Uses the physical key (e.code) because Option+Shift
+   * changes e.key on Mac keyboards.
+   */
+  function shortcutFromEvent(e) {
+    const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code || '');
+    if (!match) return '';
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.metaKey) parts.push('Meta');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(match[1] || match[2]);
+    return parts.join('+');
+  }
+
+  /**
+   * Why a binding can't be used ('' when it can)
+   */
+  function getShortcutError(id, text) {
+    if (text === '') return '';
+    const combo = normalizeShortcut(text);
+    if (!combo) return 'Use a letter or number with Alt+Shift';
+    // Ctrl+Alt is AltGr and VoiceOver's modifier; Meta and plain Alt belong to the OS and browser
+    if (combo.indexOf('Alt+Shift+') !== 0) return 'Shortcuts must use Alt+Shift (Option+Shift on Mac) and no other modifier';
+    const taken = getShortcutActions().find(a => a.id !== id && getShortcut(a.id) === combo);
+    return taken ? `${combo} is already used for "${taken.label}"` : '';
+  }
+
+  /**
+   * Remap an action; '' removes its binding. Saved with the other settings.
+   * @returns {boolean} whether the binding was accepted
+   */
+  function setShortcut(id, text) {
+    if (!(id in PANEL_SHORTCUT_ACTIONS) && !(id in settingsConfig)) {
+      console.warn(`Unknown shortcut action: ${id}`);
+      return false;
+    }
+    const error = getShortcutError(id, text);
+    if (error) {
+      console.warn(`Shortcut not changed: ${error}`);
+      return false;
+    }
+    const combo = text === '' ? '' : normalizeShortcut(text);
+    if (combo === (DEFAULT_SHORTCUTS[id] || '')) {
+      delete shortcutOverrides[id];
+    } else {
+      shortcutOverrides[id] = combo;
+    }
+    saveSettings();
+    updateShortcutHints();
+    return true;
+  }
+
+  function resetShortcuts() {
+    Object.keys(shortcutOverrides).forEach(id => {
+      delete shortcutOverrides[id];
+    });
+    saveSettings();
+    updateShortcutHints();
+  }
+
+  function handleShortcutKeydown(e) {
+    if (shortcutHelp.capturing || e.defaultPrevented || e.repeat || !e.altKey) return;
+    const combo = shortcutFromEvent(e);
+    if (!combo) return;
+    const action = getShortcutActions().find(a => getShortcut(a.id) === combo);
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    action.run();
+  }
+
+  /**
+   * Open or close the accessibility panel, moving focus with it
+   */
+  function togglePanelFromKeyboard() {
+    if (!domCache.panel) return;
+    const open = domCache.panel.classList.contains('hidden');
+    setPanelOpen(open);
+    if (open) {
+      domCache.closeBtn?.focus();
+    } else {
+      domCache.toggleBtn?.focus();
+    }
+    announceToScreenReader(`Accessibility panel ${open ? 'opened' : 'closed'}`);
+  }
+
+  function toggleAssistant() {
+    if (window.Navitoir && typeof window.Navitoir.toggle === 'function') {
+      window.Navitoir.toggle();
+    } else {
+      announceToScreenReader('The AI assistant is not available');
+    }
+  }
+
+  /**
+   * Expose bindings to assistive technology via aria-keyshortcuts
+   */
+  function updateShortcutHints() {
+    const setHint = (el, id) => {
+      if (!el) return;
+      const combo = getShortcut(id);
+      if (combo) {
+        el.setAttribute('aria-keyshortcuts', combo);
+      } else {
+        el.removeAttribute('aria-keyshortcuts');
       }
+    };
+    setHint(domCache.toggleBtn, 'togglePanel');
+    setHint(document.getElementById('ai-assistant-toggle'), 'toggleAssistant');
+    setHint(document.getElementById('a11y-shortcuts-open'), 'showShortcuts');
+    document.querySelectorAll('.accessibility-option[data-setting]').forEach(option => {
+      setHint(option, option.dataset.setting);
+    });
+    if (shortcutHelp.overlay && !shortcutHelp.overlay.hidden) renderShortcutList();
+  }
+
+  /**
+   * Create the shortcut help overlay (listed actions with Change buttons)
+   */
+  function createShortcutHelp() {
+    const overlay = document.createElement('div');
+    overlay.id = 'a11y-shortcut-help';
+    overlay.hidden = true;
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+      background: rgba(0, 0, 0, 0.35);
+      z-index: 1;
     `;
+
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'a11y-shortcut-title');
+    dialog.style.cssText = `
+      width: 420px;
+      max-width: 96vw;
+      max-height: 80vh;
+      overflow-y: auto;
+      padding: 16px;
+      border-radius: 16px;
+      border: 3px solid #3b82f6;
+      background: white;
+      color: #1f2937;
+      font-size: 14px;
+      line-height: 1.5;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+    `;
+
+    const title = document.createElement('h2');
+    title.id = 'a11y-shortcut-title';
+    title.textContent = 'Keyboard shortcuts';
+    title.style.cssText = 'margin: 0 0 4px; font-size: 16px; font-weight: 600;';
+    const intro = document.createElement('p');
+    intro.textContent = 'Shortcuts use Alt+Shift (Option+Shift on Mac) with a letter or number. Choose Change, then press the new keys. Backspace removes a shortcut, Escape cancels.';
+    intro.style.cssText = 'margin: 0 0 12px; font-size: 13px; color: #4b5563;';
+
+    shortcutHelp.list = document.createElement('ul');
+    shortcutHelp.list.style.cssText = 'list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 6px;';
+
+    shortcutHelp.status = document.createElement('p');
+    shortcutHelp.status.setAttribute('role', 'status');
+    shortcutHelp.status.setAttribute('aria-live', 'polite');
+    shortcutHelp.status.style.cssText = 'margin: 12px 0 0; min-height: 1.5em; font-size: 13px; color: #4b5563;';
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 8px;';
+    footer.appendChild(createShortcutButton('Restore defaults', () => {
+      resetShortcuts();
+      shortcutHelp.status.textContent = 'Default shortcuts restored';
+    }));
+    footer.appendChild(createShortcutButton('Close', closeShortcutHelp));
+
+    dialog.appendChild(title);
+    dialog.appendChild(intro);
+    dialog.appendChild(shortcutHelp.list);
+    dialog.appendChild(shortcutHelp.status);
+    dialog.appendChild(footer);
+    overlay.appendChild(dialog);
+
+    overlay.addEventListener('keydown', handleShortcutHelpKeydown);
+    overlay.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (e.target === overlay) closeShortcutHelp();
+    });
+    return overlay;
+  }
+
+  function createShortcutButton(text, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.style.cssText = 'padding: 4px 10px; border: 2px solid #e5e7eb; border-radius: 8px; background: #f9fafb; color: #374151; font-size: 13px; cursor: pointer;';
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  function renderShortcutList() {
+    const list = shortcutHelp.list;
+    list.textContent = '';
+    getShortcutActions().forEach(action => {
+      const combo = getShortcut(action.id);
+      const item = document.createElement('li');
+      item.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      label.style.cssText = 'flex: 1;';
+      const keys = document.createElement('kbd');
+      keys.textContent = shortcutHelp.capturing === action.id ? 'Press keys…' : (combo || 'None');
+      keys.style.cssText = 'padding: 2px 6px; border: 1px solid #d1d5db; border-radius: 4px; background: #f3f4f6; font-family: inherit; font-size: 12px; white-space: nowrap;';
+      const change = createShortcutButton('Change', () => startShortcutCapture(action.id));
+      change.setAttribute('aria-label', `Change shortcut for ${action.label}, currently ${combo || 'none'}`);
+      change.dataset.shortcutAction = action.id;
+      item.appendChild(label);
+      item.appendChild(keys);
+      item.appendChild(change);
+      list.appendChild(item);
+    });
+  }
+
+  function startShortcutCapture(id) {
+    shortcutHelp.capturing = id;
+    renderShortcutList();
+    shortcutHelp.list.querySelector(`[data-shortcut-action="${id}"]`)?.focus();
+    shortcutHelp.status.textContent = 'Press the new shortcut, Backspace to remove it or Escape to cancel';
+  }
+
+  function finishShortcutCapture(message) {
+    const id = shortcutHelp.capturing;
+    shortcutHelp.capturing = null;
+    renderShortcutList();
+    shortcutHelp.list.querySelector(`[data-shortcut-action="${id}"]`)?.focus();
+    shortcutHelp.status.textContent = message;
   }
 
   /**
-   * Disable text-to-speech functionality
+   * Record keys while capturing; otherwise Escape closes and Tab stays inside the dialog
    */
-  function disableTextToSpeech() {
-    if (textToSpeechHandler) {
-      document.removeEventListener('mouseup', textToSpeechHandler);
-      document.removeEventListener('touchend', textToSpeechHandler);
-      textToSpeechHandler = null;
-    }
-    
-    // Clear text selection
-    if (window.getSelection) {
-      const selection = window.getSelection();
-      if (selection && selection.removeAllRanges) {
-        selection.removeAllRanges();
+  function handleShortcutHelpKeydown(e) {
+    if (shortcutHelp.capturing) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (['Shift', 'Alt', 'Control', 'Meta'].indexOf(e.key) !== -1) return;
+      const id = shortcutHelp.capturing;
+      if (e.key === 'Escape') {
+        finishShortcutCapture('Shortcut unchanged');
+      } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        setShortcut(id, '');
+        finishShortcutCapture('Shortcut removed');
+      } else {
+        const combo = shortcutFromEvent(e);
+        const error = getShortcutError(id, combo || '?');
+        if (error) {
+          shortcutHelp.status.textContent = error;
+        } else {
+          setShortcut(id, combo);
+          finishShortcutCapture(`Shortcut set to ${combo}`);
+        }
       }
+      return;
     }
-    
-    // Remove tooltip
-    if (ttsTooltip?.parentNode) {
-      ttsTooltip.remove();
-      ttsTooltip = null;
-    }
-    
-    // Remove indicator
-    if (ttsIndicator?.parentNode) {
-      ttsIndicator.remove();
-      ttsIndicator = null;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeShortcutHelp();
+    } else if (e.key === 'Tab') {
+      const focusable = shortcutHelp.overlay.querySelectorAll('button');
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
     }
-    
-    // Remove animation styles
-    removeStyleElement('tts-animations');
-    
-    // Cancel speech
-    if (speechSynthesis) {
-    speechSynthesis.cancel();
+  }
+
+  /**
+   * Show the shortcut overlay inside the accessibility container (keeps it out of text styling)
+   */
+  function openShortcutHelp() {
+    if (!shortcutHelp.overlay) {
+      shortcutHelp.overlay = createShortcutHelp();
+      (domCache.container || document.body).appendChild(shortcutHelp.overlay);
     }
+    // The assistant modal sits above the container
+    if (window.Navitoir && window.Navitoir.isOpen && window.Navitoir.isOpen()) window.Navitoir.close();
+    shortcutHelp.returnFocus = document.activeElement;
+    shortcutHelp.capturing = null;
+    shortcutHelp.status.textContent = '';
+    renderShortcutList();
+    shortcutHelp.overlay.hidden = false;
+    shortcutHelp.overlay.querySelector('button')?.focus();
+  }
+
+  function closeShortcutHelp() {
+    if (!shortcutHelp.overlay || shortcutHelp.overlay.hidden) return;
+    shortcutHelp.capturing = null;
+    shortcutHelp.overlay.hidden = true;
+    const target = shortcutHelp.returnFocus;
+    shortcutHelp.returnFocus = null;
+    if (target && typeof target.focus === 'function' && document.contains(target)) target.focus();
   }
 
   // ============ UI UPDATES ============
@@ -775,14 +2766,18 @@
         } else {
           indicator.style.background = '#d1d5db';
         }
-        indicator.style.width = '44px';
+        // Three indicators need to fit the same button width as two
+        indicator.style.width = indicators.length > 2 ? '28px' : '44px';
       });
       
       // Update aria-label
-      const levelText = currentLevel === 0 ? 'off' : 
-                       config.binary ? 'on' : `level ${currentLevel}`;
+      const levelText = describeLevel(setting, currentLevel);
       option.setAttribute('aria-label', `${config.label}: ${levelText}. ${config.description}`);
     });
+
+    syncTextAdjustUI();
+    syncReadingMaskUI();
+    updateShortcutHints();
   }
 
   /**
@@ -790,9 +2785,13 @@
    */
   function resetAll() {
     Object.keys(state).forEach(key => {
-      state[key] = 0;
+      state[key] = DEFAULT_STATE[key];
     });
+    // Back to the defaults, which include OS-detected preferences
+    explicitSettings.clear();
+    applySystemDefaults();
     saveSettings();
+    syncReaderSettingsUI();
     requestAnimationFrame(() => {
       applyAllSettings();
       requestAnimationFrame(() => {
@@ -804,6 +2803,47 @@
 
   // ============ INITIALIZATION ============
   
+  /**
+   * Wire click and keyboard handling for a panel option button
+   */
+  function bindOptionButton(option) {
+    option.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const setting = option.dataset.setting;
+      if (setting) {
+        // Use requestAnimationFrame to prevent blocking
+        requestAnimationFrame(() => {
+          toggleSetting(setting);
+        });
+      }
+    }, { passive: false });
+
+    // Keyboard support
+    option.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.stopPropagation();
+        const setting = option.dataset.setting;
+        if (setting) {
+          requestAnimationFrame(() => {
+            toggleSetting(setting);
+          });
+        }
+      }
+    }, { passive: false });
+  }
+
+  /**
+   * Show or hide the accessibility panel
+   */
+  function setPanelOpen(open) {
+    domCache.init();
+    if (!domCache.panel) return;
+    domCache.panel.classList.toggle('hidden', !open);
+    domCache.toggleBtn?.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
   /**
    * Initialize event listeners
    */
@@ -813,10 +2853,7 @@
       domCache.toggleBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         const isHidden = domCache.panel.classList.contains('hidden');
-        domCache.panel.classList.toggle('hidden');
-        
-        // Update ARIA attributes
-        domCache.toggleBtn.setAttribute('aria-expanded', isHidden ? 'true' : 'false');
+        setPanelOpen(isHidden);
         announceToScreenReader(`Accessibility panel ${isHidden ? 'opened' : 'closed'}`);
       });
       
@@ -849,6 +2886,16 @@
       }
     });
 
+    // Global shortcuts (remappable, see KEYBOARD SHORTCUTS)
+    document.addEventListener('keydown', handleShortcutKeydown);
+    document.getElementById('a11y-shortcuts-open')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openShortcutHelp();
+    });
+
+    // Lesson navigation ends reading mode
+    window.addEventListener('hashchange', stopReading);
+
     // Escape key to close panel
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && domCache.panel && !domCache.panel.classList.contains('hidden')) {
@@ -861,33 +2908,7 @@
 
     // Accessibility options - use async handlers to prevent blocking
     if (domCache.options && domCache.options.length > 0) {
-      domCache.options.forEach(option => {
-        option.addEventListener('click', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          const setting = option.dataset.setting;
-          if (setting) {
-            // Use requestAnimationFrame to prevent blocking
-            requestAnimationFrame(() => {
-              toggleSetting(setting);
-            });
-          }
-        }, { passive: false });
-        
-        // Keyboard support
-        option.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            e.stopPropagation();
-            const setting = option.dataset.setting;
-            if (setting) {
-              requestAnimationFrame(() => {
-                toggleSetting(setting);
-              });
-            }
-          }
-        }, { passive: false });
-      });
+      domCache.options.forEach(bindOptionButton);
     }
 
     // Reset button
@@ -903,8 +2924,11 @@
    * Initialize accessibility features
    */
   function init() {
-    // Load saved settings
+    // Load saved settings, then fill the rest from OS preferences
     loadSettings();
+    applySystemDefaults();
+    watchSystemPreferences();
+    loadProfiles();
 
     // Initialize DOM cache
     domCache.init();
@@ -912,6 +2936,16 @@
     // Initialize event listeners
     initEventListeners();
 
+    // Buttons for features registered before the DOM was ready
+    Object.keys(settingsConfig).forEach(key => {
+      if (settingsConfig[key].custom) addOptionButton(key);
+    });
+    initialized = true;
+
+    initProfilesUI();
+    initTextAdjustUI();
+    initReadingMaskUI();
+
     // Add ARIA attributes
     if (domCache.toggleBtn) {
       domCache.toggleBtn.setAttribute('aria-label', 'Open accessibility options');
@@ -1209,12 +3243,15 @@
   /**
    * Set a specific level for a setting (for Navitoir natural-language control).
    * value: number 0..maxLevel, or for binary 0|1.
+   * options.silent skips the screen-reader announcement (profiles announce once).
    */
-  function setSetting(key, value) {
+  function setSetting(key, value, options) {
     if (!key || !(key in state)) return;
     var config = settingsConfig[key];
     if (!config) return;
     var v = typeof value === 'number' ? value : (value ? 1 : 0);
+    explicitSettings.add(key);
+    clearPresetOverrides(key);
     if (config.binary) {
       state[key] = v ? 1 : 0;
     } else {
@@ -1227,25 +3264,398 @@
       requestAnimationFrame(function() {
         updateUI();
         var cfg = settingsConfig[key];
-        if (cfg) announceToScreenReader(cfg.label + ' ' + (state[key] === 0 ? 'off' : 'level ' + state[key]));
+        if (cfg && !(options && options.silent)) announceToScreenReader(cfg.label + ' ' + describeLevel(key, state[key]));
+      });
+    });
+  }
+
+  /**
+   * Put back a snapshot taken with getState() (undo for assistant commands)
+   */
+  function restoreState(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return;
+    Object.keys(state).forEach(key => {
+      if (key in snapshot && typeof snapshot[key] === typeof DEFAULT_STATE[key] && state[key] !== snapshot[key]) {
+        state[key] = snapshot[key];
+        if (key in settingsConfig) explicitSettings.add(key);
+      }
+    });
+    saveSettings();
+    syncReaderSettingsUI();
+    requestAnimationFrame(() => {
+      applyAllSettings();
+      requestAnimationFrame(updateUI);
+    });
+  }
+
+  // ============ PROFILES ============
+  const PROFILES_STORAGE_KEY = 'accessibilityProfiles';
+  const LMS_PROFILES_KEY = 'a11yp';
+  const SHARE_CODE_PREFIX = 'A11Y1:';
+  const MAX_CUSTOM_PROFILES = 10;
+  const MAX_PROFILE_NAME = 40;
+
+  // Built-in presets set the settings they list and return every other setting to its default
+  const BUILT_IN_PROFILES = [
+    { name: 'Low vision', settings: { contrast: 2, largeText: 2, textSpacing: 1, focusIndicator: 2 } },
+    { name: 'Dyslexia', settings: { dyslexia: 2, textSpacing: 1, readingGuide: 1 } },
+    { name: 'Migraine', settings: { contrast: 0, blueLightFilter: 2, reducedMotion: 1, readingGuide: 2 } },
+    { name: 'Keyboard only', settings: { focusIndicator: 2, readingGuide: 1 } }
+  ];
+
+  // Learner-saved profiles: { name, settings }
+  let customProfiles = [];
+
+  const profilesUI = {
+    select: null,
+    form: null,
+    input: null,
+    confirmBtn: null,
+    deleteBtn: null,
+    status: null,
+    mode: ''
+  };
+
+  /**
+   * Validate a profile: trimmed name, known settings only, levels clamped
+   * @returns {{name: string, settings: Object}|null}
+   */
+  function sanitizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+    const name = typeof profile.name === 'string' ? profile.name.trim().slice(0, MAX_PROFILE_NAME) : '';
+    if (!name || !profile.settings || typeof profile.settings !== 'object') return null;
+    const settings = {};
+    Object.keys(profile.settings).forEach(key => {
+      const config = settingsConfig[key];
+      const value = Number(profile.settings[key]);
+      if (!config || !isFinite(value)) return;
+      settings[key] = Math.max(0, Math.min(config.levels, Math.round(value)));
+    });
+    return Object.keys(settings).length > 0 ? { name: name, settings: settings } : null;
+  }
+
+  /**
+   * Load custom profiles; the newer of the localStorage and LMS copies wins
+   */
+  function loadProfiles() {
+    const local = storage.get(PROFILES_STORAGE_KEY);
+    const remote = lmsStorage.get(LMS_PROFILES_KEY);
+    const saved = (remote && (!local || (remote.updatedAt || 0) > (local.updatedAt || 0))) ? remote : local;
+    customProfiles = (saved && Array.isArray(saved.profiles) ? saved.profiles : [])
+      .map(sanitizeProfile)
+      .filter(Boolean)
+      .slice(0, MAX_CUSTOM_PROFILES);
+  }
+
+  function saveProfiles() {
+    const snapshot = { profiles: customProfiles, updatedAt: Date.now() };
+    storage.set(PROFILES_STORAGE_KEY, snapshot);
+    lmsStorage.set(LMS_PROFILES_KEY, snapshot);
+  }
+
+  function getProfiles() {
+    return BUILT_IN_PROFILES.map(p => ({ name: p.name, settings: Object.assign({}, p.settings), builtIn: true }))
+      .concat(customProfiles.map(p => ({ name: p.name, settings: Object.assign({}, p.settings), builtIn: false })));
+  }
+
+  /**
+   * Find a profile by name (case-insensitive); saved profiles shadow nothing built in
+   */
+  function findProfile(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return BUILT_IN_PROFILES.find(p => p.name.toLowerCase() === wanted) ||
+      customProfiles.find(p => p.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Settings a preset doesn't list go back to their defaults (system-detected ones included),
+   * so presets applied one after another don't mix
+   */
+  function resetUnlistedSettings(listed) {
+    const detected = getSystemDefaults();
+    Object.keys(settingsConfig).forEach(key => {
+      if (key in listed) return;
+      explicitSettings.delete(key);
+      clearPresetOverrides(key);
+      state[key] = key in detected ? detected[key] : (DEFAULT_STATE[key] || 0);
+    });
+  }
+
+  /**
+   * Apply a profile by name (or a profile object) through setSetting
+   * @returns {boolean} true when applied
+   */
+  function applyProfile(nameOrProfile) {
+    const profile = typeof nameOrProfile === 'string'
+      ? findProfile(nameOrProfile)
+      : sanitizeProfile(nameOrProfile);
+    if (!profile) {
+      console.warn('Unknown accessibility profile:', nameOrProfile);
+      return false;
+    }
+    if (BUILT_IN_PROFILES.includes(profile)) resetUnlistedSettings(profile.settings);
+    Object.keys(profile.settings).forEach(key => {
+      setSetting(key, profile.settings[key], { silent: true });
+    });
+    announceToScreenReader(`${profile.name} profile applied`);
+    return true;
+  }
+
+  /**
+   * Save the current settings as a custom profile (replaces one with the same name)
+   * @returns {Object|null} the saved profile
+   */
+  function saveCustomProfile(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_PROFILE_NAME);
+    if (!trimmed) return null;
+    if (BUILT_IN_PROFILES.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+      console.warn(`"${trimmed}" is a built-in profile name`);
+      return null;
+    }
+    // Saved profiles restore every setting, including those that are off
+    const settings = {};
+    Object.keys(settingsConfig).forEach(key => {
+      settings[key] = state[key];
+    });
+    return storeCustomProfile({ name: trimmed, settings: settings });
+  }
+
+  function storeCustomProfile(profile) {
+    const clean = sanitizeProfile(profile);
+    if (!clean) return null;
+    const index = customProfiles.findIndex(p => p.name.toLowerCase() === clean.name.toLowerCase());
+    if (index >= 0) {
+      customProfiles[index] = clean;
+    } else if (customProfiles.length >= MAX_CUSTOM_PROFILES) {
+      console.warn(`Only ${MAX_CUSTOM_PROFILES} saved profiles are kept; delete one first`);
+      return null;
+    } else {
+      customProfiles.push(clean);
+    }
+    saveProfiles();
+    return clean;
+  }
+
+  function deleteCustomProfile(name) {
+    const before = customProfiles.length;
+    const wanted = String(name || '').toLowerCase();
+    customProfiles = customProfiles.filter(p => p.name.toLowerCase() !== wanted);
+    if (customProfiles.length === before) return false;
+    saveProfiles();
+    return true;
+  }
+
+  /**
+   * Export a profile as a share code: prefix + base64 of compact UTF-8 JSON
+   * @returns {string} share code, or '' for an unknown profile
+   */
+  function exportProfile(name) {
+    const profile = findProfile(name);
+    if (!profile) return '';
+    const json = JSON.stringify({ name: profile.name, settings: profile.settings });
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    bytes.forEach(b => {
+      binary += String.fromCharCode(b);
+    });
+    return SHARE_CODE_PREFIX + btoa(binary);
+  }
+
+  /**
+   * Import a share code or profile JSON, store it and apply it
+   * @returns {Object|null} the imported profile
+   */
+  function importProfile(text) {
+    const input = String(text || '').trim();
+    let parsed = null;
+    try {
+      if (input.indexOf(SHARE_CODE_PREFIX) === 0) {
+        const binary = atob(input.slice(SHARE_CODE_PREFIX.length));
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        parsed = JSON.parse(new TextDecoder().decode(bytes));
+      } else {
+        parsed = JSON.parse(input);
+      }
+    } catch (e) {
+      console.warn('Could not read accessibility profile:', e);
+      return null;
+    }
+    const profile = sanitizeProfile(parsed);
+    if (!profile) return null;
+    // An imported copy of a built-in preset just applies it
+    const isBuiltIn = BUILT_IN_PROFILES.some(p => p.name.toLowerCase() === profile.name.toLowerCase());
+    const stored = isBuiltIn ? profile : storeCustomProfile(profile);
+    if (!stored) return null;
+    applyProfile(stored);
+    return stored;
+  }
+
+  /**
+   * Rebuild the profile picker options
+   */
+  function renderProfileOptions(selectedName) {
+    const select = profilesUI.select;
+    if (!select) return;
+    select.innerHTML = '';
+    [['Presets', BUILT_IN_PROFILES], ['My profiles', customProfiles]].forEach(([label, list]) => {
+      if (list.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      list.forEach(profile => {
+        const opt = document.createElement('option');
+        opt.value = profile.name;
+        opt.textContent = profile.name;
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    });
+    if (selectedName && findProfile(selectedName)) select.value = findProfile(selectedName).name;
+    updateProfileButtons();
+  }
+
+  function updateProfileButtons() {
+    if (!profilesUI.deleteBtn || !profilesUI.select) return;
+    const isCustom = customProfiles.some(p => p.name === profilesUI.select.value);
+    profilesUI.deleteBtn.disabled = !isCustom;
+    profilesUI.deleteBtn.style.opacity = isCustom ? '1' : '0.5';
+  }
+
+  function setProfileStatus(message) {
+    if (profilesUI.status) profilesUI.status.textContent = message;
+  }
+
+  /**
+   * Show the shared text field for saving, importing or exporting
+   */
+  function openProfileForm(mode, value) {
+    profilesUI.mode = mode;
+    profilesUI.form.hidden = false;
+    profilesUI.input.value = value || '';
+    profilesUI.input.readOnly = mode === 'export';
+    profilesUI.confirmBtn.textContent = mode === 'export' ? 'Copy' : (mode === 'import' ? 'Import' : 'Save');
+    profilesUI.input.setAttribute('aria-label', mode === 'save' ? 'Profile name' : 'Profile share code');
+    profilesUI.input.placeholder = mode === 'save' ? 'Profile name' : (mode === 'import' ? 'Paste a share code' : '');
+    profilesUI.input.focus();
+    if (mode === 'export') profilesUI.input.select();
+  }
+
+  function closeProfileForm() {
+    profilesUI.mode = '';
+    profilesUI.form.hidden = true;
+    profilesUI.input.value = '';
+  }
+
+  function confirmProfileForm() {
+    const value = profilesUI.input.value;
+    if (profilesUI.mode === 'save') {
+      const saved = saveCustomProfile(value);
+      if (!saved) {
+        setProfileStatus('Enter a new name (preset names are reserved, up to 10 profiles).');
+        return;
+      }
+      renderProfileOptions(saved.name);
+      setProfileStatus(`Saved "${saved.name}".`);
+    } else if (profilesUI.mode === 'import') {
+      const imported = importProfile(value);
+      if (!imported) {
+        setProfileStatus('That share code could not be read.');
+        return;
+      }
+      renderProfileOptions(imported.name);
+      setProfileStatus(`Imported and applied "${imported.name}".`);
+    } else if (profilesUI.mode === 'export') {
+      profilesUI.input.select();
+      const copied = navigator.clipboard?.writeText(value);
+      if (copied) {
+        copied.then(() => setProfileStatus('Share code copied.'), () => setProfileStatus('Select the code and copy it.'));
+        return;
+      }
+      setProfileStatus('Select the code and copy it.');
+      return;
+    }
+    closeProfileForm();
+  }
+
+  /**
+   * Wire the profiles section of the panel (markup in index.html)
+   */
+  function initProfilesUI() {
+    profilesUI.select = document.getElementById('a11y-profile-select');
+    profilesUI.form = document.getElementById('a11y-profile-form');
+    profilesUI.input = document.getElementById('a11y-profile-input');
+    profilesUI.confirmBtn = document.getElementById('a11y-profile-confirm');
+    profilesUI.deleteBtn = document.getElementById('a11y-profile-delete');
+    profilesUI.status = document.getElementById('a11y-profile-status');
+    if (!profilesUI.select || !profilesUI.form || !profilesUI.input) return;
+
+    renderProfileOptions();
+    profilesUI.select.addEventListener('change', updateProfileButtons);
+
+    const on = (id, handler) => {
+      document.getElementById(id)?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
       });
+    };
+    on('a11y-profile-apply', () => {
+      if (applyProfile(profilesUI.select.value)) setProfileStatus(`Applied "${profilesUI.select.value}".`);
+    });
+    on('a11y-profile-save', () => openProfileForm('save'));
+    on('a11y-profile-import', () => openProfileForm('import'));
+    on('a11y-profile-export', () => {
+      openProfileForm('export', exportProfile(profilesUI.select.value));
+      setProfileStatus(`Share code for "${profilesUI.select.value}".`);
+    });
+    on('a11y-profile-delete', () => {
+      const name = profilesUI.select.value;
+      if (deleteCustomProfile(name)) {
+        renderProfileOptions();
+        setProfileStatus(`Deleted "${name}".`);
+      }
+    });
+    on('a11y-profile-confirm', confirmProfileForm);
+    on('a11y-profile-cancel', closeProfileForm);
+    profilesUI.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        confirmProfileForm();
+      }
     });
   }
 
   // ============ PUBLIC API (for Navitoir / AI tools) ============
   window.A11yPortfolio = {
+    register: registerFeature,
     toggle: function(key) { if (key && key in state) toggleSetting(key); },
-    set: function(key, value) { setSetting(key, value); },
+    set: function(key, value, options) { setSetting(key, value, options); },
     getState: function() { return Object.assign({}, state); },
     getConfig: function() { return settingsConfig; },
-    openPanel: function() {
-      domCache.init();
-      if (domCache.panel) { domCache.panel.classList.remove('hidden'); domCache.toggleBtn && domCache.toggleBtn.setAttribute('aria-expanded', 'true'); }
+    openPanel: function() { setPanelOpen(true); },
+    closePanel: function() { setPanelOpen(false); },
+    reset: resetAll,
+    restore: restoreState,
+    getProfiles: getProfiles,
+    applyProfile: applyProfile,
+    saveProfile: saveCustomProfile,
+    deleteProfile: deleteCustomProfile,
+    exportProfile: exportProfile,
+    importProfile: importProfile,
+    read: startReading,
+    pauseReading: pauseReading,
+    stopReading: stopReading,
+    getSpeechOptions: function() {
+      return { rate: state.ttsRate, pitch: state.ttsPitch, voice: state.ttsVoice };
     },
-    closePanel: function() {
-      if (domCache.panel) { domCache.panel.classList.add('hidden'); domCache.toggleBtn && domCache.toggleBtn.setAttribute('aria-expanded', 'false'); }
+    setSpeechOptions: setSpeechOptions,
+    setReadingMaskHeight: setReadingMaskHeight,
+    setTextAdjustment: setTextAdjustment,
+    getTextValues: getEffectiveTextValues,
+    getShortcuts: function() {
+      return getShortcutActions().map(a => ({ id: a.id, label: a.label, keys: getShortcut(a.id) }));
     },
-    reset: resetAll,
+    setShortcut: setShortcut,
+    resetShortcuts: resetShortcuts,
+    showShortcuts: openShortcutHelp,
     applyAllSettings: applyAllSettings,
     updateUI: updateUI
   };
@@ -8,19 +8,12 @@
   const PANEL_W = 360;
 
   /**
-   * Glossary: simple explanations for key course terms (no copy-paste from course).
-   * Used when the user asks what something is, so answers stay clear and consistent.
+   * Course-level questions answered with fixed wording. Term definitions live in glossary.json.
+   * question: offered as a suggested question when the pattern matches the lesson text.
    */
-  var GLOSSARY = [
-    { pattern: /\bplain\s+language\b/i, message: 'Plain language is writing so your reader can quickly find, understand, and use the information. It uses clear words, short sentences, and a direct style—no jargon or unnecessary complexity.' },
-    { pattern: /\binclusive\s+language\b/i, message: 'Inclusive language is wording that avoids excluding, stereotyping, or making assumptions about people. It helps everyone feel respected and included at work.' },
-    { pattern: /\bactive\s+voice\b/i, message: 'Active voice means the subject of the sentence does the action. For example: "The team wrote the report." It is clear and direct.' },
-    { pattern: /\bpassive\s+voice\b/i, message: 'Passive voice means the action is done to the subject, or the doer is in the background. For example: "The report was written by the team." It can feel indirect and sometimes confuse readers.' },
-    { pattern: /\bshort\s+sentences?\b/i, message: 'Short sentences mean keeping each sentence to one main idea and around 15–20 words or fewer. It makes your writing easier to read and understand.' },
-    { pattern: /\bfamiliar\s+words?\b|\beveryday\s+words?\b|\bcommon\s+words?\b/i, message: 'Familiar words are everyday words that most people know. You avoid jargon and overly formal terms so the goal is clarity, not impressing the reader.' },
-    { pattern: /\bkey\s+principles?\b|\bprinciples\s+of\s+plain\b/i, message: 'The key principles of plain language are:\n• Short sentences\n• Active voice\n• Familiar words and expressions' },
-    { pattern: /\bintroduction\b|\bintro\b|\bwhat\s+is\s+this\s+course\b|\bcourse\s+about\b/i, message: 'This course teaches you how to make workplace communication clear, concise, and inclusive. You will learn plain language and inclusive language.' },
-    { pattern: /\bobjectives?\b|\blearning\s+outcomes?\b|\bwhat\s+will\s+I\s+learn\b/i, message: null }
+  var COURSE_ANSWERS = [
+    { pattern: /\bintroduction\b|\bintro\b|\bwhat\s+is\s+this\s+course\b|\bcourse\s+about\b/i, question: 'What is this course about?', message: 'This course teaches you how to make workplace communication clear, concise, and inclusive. You will learn plain language and inclusive language.' },
+    { pattern: /\bobjectives?\b|\blearning\s+outcomes?\b|\bwhat\s+will\s+I\s+learn\b/i, question: 'What will I learn?', message: null }
   ];
   // objectives: null = keep existing course-based behaviour (bullet list from course)
 
@@ -35,17 +28,115 @@
     return (t || '').toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean);
   }
 
-  function scoreMatch(queryTokens, text) {
-    const words = tokenize(text);
-    const set = new Set(words);
-    let n = 0;
-    for (const q of queryTokens) {
-      if (set.has(q)) n++;
-      // Only partial when the doc word contains the query (e.g. "inclusive" in "inclusively");
-      // avoid "objectives" matching doc "object" (q contains w would give false positive)
-      else if (words.some(function(w) { return w.length >= 3 && w.indexOf(q) >= 0; })) n += 0.5;
+  // --- Text analysis: stop words, stemming, synonyms ---
+
+  var STOP_WORDS = new Set(('a about above after again all am an and any are as at be because been before being ' +
+    'below between both but by can could did do does doing down during each few for from further had has have ' +
+    'having he her here hers herself him himself his how i if in into is it its itself just me more most my myself ' +
+    'no nor not now of off on once only or other our ours ourselves out over own same she should so some such ' +
+    'than that the their theirs them themselves then there these they this those through to too under until up ' +
+    'very was we were what when where which while who whom why will with would you your yours yourself ' +
+    'yourselves ll s t re ve d m tell explain please course lesson give show want know need').split(' '));
+
+  /**
+   * Synonym groups: every word in a group is indexed and queried as the first word of the group,
+   * so "how long should a sentence be?" reaches the "Short Sentences" block.
+   * Add course vocabulary here rather than special-casing questions in answerFromCourse.
+   */
+  var SYNONYM_GROUPS = [
+    ['short', 'long', 'length', 'lengthy', 'brief', 'concise', 'wordy'],
+    ['familiar', 'everyday', 'common', 'simple', 'ordinary'],
+    ['word', 'term', 'vocabulary', 'expression', 'phrase', 'wording'],
+    ['jargon', 'technical', 'buzzword', 'acronym', 'slang', 'idiom'],
+    ['passive', 'indirect'],
+    ['active', 'direct'],
+    ['inclusive', 'inclusion', 'include', 'respectful', 'exclude', 'exclusion', 'stereotype'],
+    ['gender', 'gendered', 'pronoun', 'neutral'],
+    ['disability', 'disabled', 'ableist', 'ableism'],
+    ['objective', 'goal', 'outcome', 'aim', 'learn'],
+    ['principle', 'rule', 'guideline', 'tip', 'advice'],
+    ['clear', 'clarity', 'understand', 'readable', 'readability', 'easy'],
+    ['reader', 'audience'],
+    ['write', 'writing', 'written', 'draft'],
+    ['example', 'sample', 'instance'],
+    ['mean', 'meaning', 'definition', 'define']
+  ];
+
+  // Porter stemmer (Porter, 1980), steps 1–5
+  var PORTER_STEP2 = { ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log' };
+  var PORTER_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+  var PORTER_C = '[^aeiou][^aeiouy]*';
+  var PORTER_V = '[aeiouy][aeiou]*';
+  var PORTER_M_GT0 = new RegExp('^(' + PORTER_C + ')?' + PORTER_V + PORTER_C);
+  var PORTER_M_EQ1 = new RegExp('^(' + PORTER_C + ')?' + PORTER_V + PORTER_C + '(' + PORTER_V + ')?$');
+  var PORTER_M_GT1 = new RegExp('^(' + PORTER_C + ')?' + PORTER_V + PORTER_C + PORTER_V + PORTER_C);
+  var PORTER_HAS_VOWEL = new RegExp('^(' + PORTER_C + ')?[aeiouy]');
+  var PORTER_CVC = new RegExp('^' + PORTER_C + '[aeiouy][^aeiouwxy]$');
+
+  function stem(word) {
+    if (word.length < 3 || /\d/.test(word)) return word;
+    var w = word;
+    var m;
+    // A leading y is a consonant
+    var leadingY = w.charAt(0) === 'y';
+    if (leadingY) w = 'Y' + w.slice(1);
+
+    // Step 1a: plurals
+    if (/(ss|i)es$/.test(w)) w = w.replace(/(ss|i)es$/, '$1');
+    else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+    // Step 1b: -eed, -ed, -ing
+    if ((m = /^(.+?)eed$/.exec(w))) {
+      if (PORTER_M_GT0.test(m[1])) w = w.slice(0, -1);
+    } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && PORTER_HAS_VOWEL.test(m[1])) {
+      w = m[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (PORTER_CVC.test(w)) w += 'e';
+    }
+
+    // Step 1c: y -> i
+    if ((m = /^(.+?)y$/.exec(w)) && PORTER_HAS_VOWEL.test(m[1])) w = m[1] + 'i';
+
+    // Steps 2 and 3: double and single suffixes
+    if ((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) && PORTER_M_GT0.test(m[1])) {
+      w = m[1] + PORTER_STEP2[m[2]];
+    }
+    if ((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && PORTER_M_GT0.test(m[1])) {
+      w = m[1] + PORTER_STEP3[m[2]];
+    }
+
+    // Step 4: remaining suffixes
+    if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (PORTER_M_GT1.test(m[1])) w = m[1];
+    } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+      if (PORTER_M_GT1.test(m[1] + m[2])) w = m[1] + m[2];
     }
-    return queryTokens.length ? n / queryTokens.length : 0;
+
+    // Step 5: final -e and -ll
+    if ((m = /^(.+?)e$/.exec(w))) {
+      var s = m[1];
+      if (PORTER_M_GT1.test(s) || (PORTER_M_EQ1.test(s) && !PORTER_CVC.test(s))) w = s;
+    }
+    if (/ll$/.test(w) && PORTER_M_GT1.test(w)) w = w.slice(0, -1);
+
+    return leadingY ? 'y' + w.slice(1) : w;
+  }
+
+  var SYNONYMS = {};  // stem -> stem of the group's first word
+  SYNONYM_GROUPS.forEach(function(group) {
+    var head = stem(group[0]);
+    group.forEach(function(word) { SYNONYMS[stem(word)] = head; });
+  });
+
+  /** Index terms for text: tokens without stop words, stemmed and mapped to synonym heads. */
+  function analyze(text) {
+    return tokenize(text)
+      .filter(function(w) { return !STOP_WORDS.has(w); })
+      .map(function(w) {
+        var s = stem(w);
+        return SYNONYMS[s] || s;
+      });
   }
 
   /** Clean text: fix spaces, punctuation, and capitalization. */
@@ -119,13 +210,13 @@
   }
 
   /**
-   * Get the 1–2 most relevant sentences from text (by query token overlap and optional focus).
-   * opts.focusTerm: 'passive' = only sentences about passive voice; 'active' = only about active voice.
+   * Get the 1–2 most relevant sentences from text, weighting query terms by idf.
+   * A second sentence is only added when it is nearly as relevant as the first, so
+   * "what is passive voice" doesn't drag in the active-voice half of a paragraph.
    */
-  function pickRelevantSentences(text, queryTokens, maxLen, opts) {
+  function pickRelevantSentences(text, queryTerms, maxLen) {
     maxLen = maxLen || 200;
-    opts = opts || {};
-    if (!text || !queryTokens.length) return '';
+    if (!text || !queryTerms.length) return '';
     // Split on [.?!] followed by space, and on [.?!] directly before uppercase (e.g. "language.Apply")
     var block = text.replace(/([.?!])([A-Z])/g, '$1\n$2').replace(/([.?!])\s+/g, '$1\n');
     var sentences = block.split('\n').map(function(s) { return s.trim(); }).filter(function(s) { return s.length >= 12; });
@@ -133,26 +224,16 @@
       var z = text.slice(0, maxLen);
       return cleanText(z + (text.length > maxLen ? '…' : ''));
     }
-    // When user asks only about passive or only about active voice, keep just those sentences (avoid irrelevant half).
-    if (opts.focusTerm === 'passive') {
-      var p = sentences.filter(function(s) { return /Passive voice|passive voice/i.test(s); });
-      if (p.length > 0) sentences = p;
-    } else if (opts.focusTerm === 'active') {
-      var a = sentences.filter(function(s) { return /Active voice|active voice/i.test(s); });
-      if (a.length > 0) sentences = a;
-    }
-    // When asking about familiar words: exclude table example cells (British, Bob's your uncle, Egress, etc.).
-    if (opts.excludeTableExamples) {
-      var fam = sentences.filter(function(s) { return !/British|your uncle|Egress|Bob's|Not Recommended/i.test(s); });
-      if (fam.length > 0) sentences = fam;
-    }
     var withScore = [];
     for (var i = 0; i < sentences.length; i++) {
-      var sc = scoreMatch(queryTokens, sentences[i]);
-      if (sc > 0) withScore.push({ s: sentences[i], sc: sc });
+      var sc = termCoverage(queryTerms, analyze(sentences[i]));
+      if (sc > 0) withScore.push({ s: sentences[i], sc: sc, at: i });
     }
-    withScore.sort(function(a, b) { return b.sc - a.sc; });
-    var taken = withScore.slice(0, 2).map(function(x) { return x.s; });
+    withScore.sort(function(a, b) { return b.sc - a.sc || a.at - b.at; });
+    var top = withScore.slice(0, 2).filter(function(x, k) { return k === 0 || x.sc >= withScore[0].sc * 0.8; });
+    // Keep reading order
+    top.sort(function(a, b) { return a.at - b.at; });
+    var taken = top.map(function(x) { return x.s; });
     if (taken.length === 0) {
       var fall = text.slice(0, maxLen);
       return cleanText(fall + (text.length > maxLen ? '…' : ''));
@@ -167,9 +248,65 @@
     return cleanText(out);
   }
 
+  // --- BM25 index over courseIndex (built once in buildFromCourse) ---
+  var BM25_K1 = 1.2;
+  var BM25_B = 0.75;
+  var searchIndex = { docs: [], df: {}, avgLength: 0 };  // docs[i]: { tf, length } for courseIndex[i]
+
+  function buildSearchIndex(entries) {
+    var docs = [];
+    var df = {};
+    var total = 0;
+    entries.forEach(function(entry) {
+      var terms = analyze(entry.text);
+      var tf = {};
+      terms.forEach(function(t) { tf[t] = (tf[t] || 0) + 1; });
+      Object.keys(tf).forEach(function(t) { df[t] = (df[t] || 0) + 1; });
+      docs.push({ tf: tf, length: terms.length });
+      total += terms.length;
+    });
+    searchIndex = { docs: docs, df: df, avgLength: docs.length ? total / docs.length : 0 };
+  }
+
+  /** Inverse document frequency (BM25+ style, never negative). */
+  function idf(term) {
+    var n = searchIndex.docs.length;
+    var df = searchIndex.df[term] || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  function bm25(queryTerms, docIndex) {
+    var doc = searchIndex.docs[docIndex];
+    if (!doc || !doc.length) return 0;
+    var norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (searchIndex.avgLength || 1));
+    var score = 0;
+    queryTerms.forEach(function(t) {
+      var f = doc.tf[t];
+      if (f) score += idf(t) * (f * (BM25_K1 + 1)) / (f + norm);
+    });
+    return score;
+  }
+
+  /** Share of the query's weight (by idf) present in the text's terms: 0..1. */
+  function termCoverage(queryTerms, terms) {
+    var present = new Set(terms);
+    var total = 0;
+    var hit = 0;
+    queryTerms.forEach(function(t) {
+      var w = idf(t);
+      total += w;
+      if (present.has(t)) hit += w;
+    });
+    return total ? hit / total : 0;
+  }
+
+  function uniqueTerms(terms) {
+    return Array.from(new Set(terms));
+  }
+
   // --- Course index & TOC ---
   var courseIndex = [];  // { text, lessonId, blockId, lessonTitle, type }
-  var courseToc = [];    // { lessonId, lessonTitle, blocks: [{ blockId, title }] }
+  var courseToc = [];    // { lessonId, lessonTitle, blocks: [{ blockId, title, isHeading }] }
 
   function extractFromBlock(block, acc, lessonTitle, lessonId) {
     if (!block || !block.items) return;
@@ -206,31 +343,76 @@
       const lessonTitle = stripHtml(les.title) || 'Lesson';
       const blocks = (les.items || []).map(function(bl) {
         extractFromBlock(bl, courseIndex, lessonTitle, lessonId);
-        return { blockId: bl.id || '', title: getBlockTitle(bl) };
+        var first = (bl.items || [])[0];
+        return { blockId: bl.id || '', title: getBlockTitle(bl), isHeading: !!(first && first.heading) };
       });
       courseToc.push({ lessonId, lessonTitle, blocks });
     });
+    buildSearchIndex(courseIndex);
+  }
+
+  /** Where an answer came from, for the "Go to this in the course" link. */
+  function sourceOf(entry) {
+    if (!entry || !entry.lessonId) return null;
+    return { lessonId: entry.lessonId, blockId: entry.blockId || '', lessonTitle: entry.lessonTitle || '' };
+  }
+
+  /**
+   * Rank courseIndex entries for the query terms (BM25 with answer-shape boosts).
+   * Entries missing too much of the question's weight are left out.
+   */
+  function rankEntries(terms, opts) {
+    // Share of the question's weight an entry must contain to count as an answer
+    var MIN_COVERAGE = 0.4;
+    var defBoost = / (\b(?:is|means|refers to|avoids|helps create|involves)\b) /i;
+    var scored = [];
+    courseIndex.forEach(function(entry, i) {
+      if (!opts.typeOk(entry)) return;
+      var s = bm25(terms, i);
+      if (s <= 0 || termCoverage(terms, Object.keys(searchIndex.docs[i].tf)) < MIN_COVERAGE) return;
+      if (opts.isDefinitional && defBoost.test(entry.text)) s *= 1.25;
+      if (opts.isConceptQuery && entry.type === 'paragraph') s *= 1.15;
+      // Headings score high on length alone but rarely answer anything by themselves
+      if (entry.type === 'heading') s *= 0.5;
+      // Follow-ups ("an example of that") stay with the block of the previous answer
+      if (opts.preferBlockId && entry.blockId === opts.preferBlockId) s *= FOLLOW_UP_BOOST;
+      scored.push({ entry: entry, score: s });
+    });
+    return scored.sort(function(a, b) { return b.score - a.score; });
   }
 
-  function answerFromCourse(q) {
+  /**
+   * @param {string} q
+   * @param {{ blockId?: string }} [context] blockId: block of the previous answer, for follow-ups
+   */
+  function answerFromCourse(q, context) {
     if (courseIndex.length === 0) return { ok: false, message: 'Course content is still loading. Please try again in a moment.' };
     var tokens = tokenize(q);
     if (!tokens.length) return { ok: false, message: 'Please ask a question about the course.' };
-    var MIN_SCORE = 0.35;
-    var isDefinitional = /what is|define|meaning of|what does .+ mean/i.test(q);
+    var terms = uniqueTerms(analyze(q));
+    var rankOpts = queryOptions(q, terms, context);
+    var isDefinitional = rankOpts.isDefinitional;
+    var typeOk = rankOpts.typeOk;
     var isObjectives = /objectives?|goals?|learning outcomes?|what will I learn|what are the objectives/i.test(q);
     // Use glossary for clear definition/concept questions (simple explanations, no raw course copy).
-    var useGlossary = (isDefinitional || tokens.length <= 5) && !/difference|between|compare|vs\.?|versus/i.test(q);
+    var isComparison = /difference|between|compare|vs\.?|versus/i.test(q);
+    // "Tell me more" wants the course's own text, not the glossary summary again
+    var wantMore = !!(context && context.more);
+    var useGlossary = (isDefinitional || tokens.length <= 5) && !isComparison && !wantMore;
+    var glossaryTerm = isComparison || wantMore ? null : findGlossaryTerm(q);
+    // Example requests ("give me an example of that passive voice") use the glossary's examples at any length
+    if (glossaryTerm && (useGlossary || (/\bexamples?\b/i.test(q) && glossaryTerm.examples.length))) {
+      return glossaryAnswer(glossaryTerm, q, terms, rankOpts);
+    }
     if (useGlossary) {
-      for (var g = 0; g < GLOSSARY.length; g++) {
-        if (GLOSSARY[g].pattern.test(q) && GLOSSARY[g].message) {
-          return { ok: true, message: GLOSSARY[g].message };
+      for (var g = 0; g < COURSE_ANSWERS.length; g++) {
+        if (COURSE_ANSWERS[g].pattern.test(q) && COURSE_ANSWERS[g].message) {
+          // Link the fixed wording to where the course covers it
+          var covered = terms.length ? rankEntries(terms, rankOpts) : [];
+          return { ok: true, message: COURSE_ANSWERS[g].message, source: covered.length ? sourceOf(covered[0].entry) : null };
         }
       }
     }
-    var wantExamples = /example|quiz|question|practice/i.test(q);
-    // Exclude quiz items (question/answer) unless user asks for examples
-    var typeOk = function(e) { return wantExamples || (e.type !== 'question' && e.type !== 'answer'); };
     // --- Objectives: explicit block match only ---
     if (isObjectives) {
       var obj = courseIndex.filter(function(e) {
@@ -240,91 +422,1356 @@
       })[0];
       if (obj) {
         var simple = simplifyForAnswer(obj.text, 'objectives');
-        return { ok: true, message: simple };
-      }
-    }
-    // --- Inclusive language vs Plain language: require "inclusive" in the entry when the query asks about inclusive ---
-    var askInclusive = /\binclusive\b/i.test(q);
-    var pool = courseIndex.filter(function(e) { return typeOk(e); });
-    if (askInclusive) {
-      var inclusiveOnly = pool.filter(function(e) { return /inclusive/i.test(e.text); });
-      if (inclusiveOnly.length === 0) {
-        return { ok: false, message: 'I couldn\'t find a definition of inclusive language in the course. Try the "Inclusive Language" section, or ask "what is plain language" for the difference.' };
+        return { ok: true, message: simple, source: sourceOf(obj) };
       }
-      pool = inclusiveOnly;
-    }
-    // When asking about "plain language" (and not inclusive), restrict to entries that discuss plain language
-    if (/\bplain\b/i.test(q) && /\blanguage\b/i.test(q) && !/\binclusive\b/i.test(q)) {
-      var plainOnly = pool.filter(function(e) { return /plain\s+language|plain\s+language\s+means/i.test(e.text); });
-      if (plainOnly.length > 0) pool = plainOnly;
-    }
-    // --- Topic-specific pool filters: active/passive, short sentences, key principles, familiar words, introduction ---
-    if (/\b(active\s+voice|passive\s+voice)\b/i.test(q)) {
-      var voiceOnly = pool.filter(function(e) { return /active\s+voice|passive\s+voice/i.test(e.text); });
-      if (voiceOnly.length > 0) pool = voiceOnly;
-    }
-    if (/\bshort\s+sentences\b/i.test(q)) {
-      var shortOnly = pool.filter(function(e) { return /short\s+sentences/i.test(e.text); });
-      if (shortOnly.length > 0) pool = shortOnly;
-    }
-    if (/\b(key\s+principles?|principles\s+of\s+plain)\b/i.test(q)) {
-      var princOnly = pool.filter(function(e) { return /key\s+principles|Short\s+Sentences|Active\s+Voice|Familiar\s+Words/i.test(e.text); });
-      if (princOnly.length > 0) pool = princOnly;
     }
-    if (/\b(familiar\s+words?|everyday\s+words?|common\s+words?)\b/i.test(q)) {
-      var famOnly = pool.filter(function(e) { return /familiar\s+words|Familiar\s+Words|everyday|common\s+words/i.test(e.text); });
-      if (famOnly.length > 0) pool = famOnly;
-    }
-    if (/\b(introduction|intro|what is this course|course about)\b/i.test(q)) {
-      var introOnly = pool.filter(function(e) { return /In this course, you'll learn|workplace communication|Words shape/i.test(e.text); });
-      if (introOnly.length > 0) pool = introOnly;
-    }
-    var defBoost = / (\b(?:is|means|refers to|avoids|helps create|involves)\b) /i;
-    var isConceptQuery = /\b(short sentences|active voice|familiar words|key principles)\b/i.test(q);
-    var scored = pool.map(function(entry) {
-      var s = scoreMatch(tokens, entry.text);
-      if (isDefinitional && defBoost.test(entry.text)) s += 0.35;
-      // Prefer paragraph over heading for "Short Sentences", "Active Voice", etc. (avoids "Using X." only)
-      if ((isDefinitional || isConceptQuery) && entry.type === 'paragraph') s += 0.25;
-      return { entry: entry, score: s };
-    }).filter(function(x) { return x.score >= MIN_SCORE; }).sort(function(a, b) { return b.score - a.score; });
+    if (!terms.length) return { ok: false, message: 'Please ask a question about the course.' };
+    var scored = rankEntries(terms, rankOpts);
     if (scored.length === 0) {
       var topics = courseToc.slice(0, 4).map(function(t) { return t.lessonTitle; }).filter(Boolean);
       return { ok: false, message: 'I couldn\'t find that in the course. Try: ' + (topics.join(', ') || 'plain language, inclusive communication') + '.' };
     }
-    var best = scored[0];
     // Use only the best match to avoid mixing different blocks (e.g. Key Principles + objectives)
-    var use = [best];
-    // For "what is passive voice" vs "what is active voice": return only the asked‑for definition (no irrelevant half).
-    var focusTerm = null;
-    if (/\bpassive\s+voice\b/i.test(q) && !/\bactive\s+voice\b/i.test(q)) focusTerm = 'passive';
-    else if (/\bactive\s+voice\b/i.test(q) && !/\bpassive\s+voice\b/i.test(q)) focusTerm = 'active';
-    // For "familiar words (and expressions)": exclude table example cells (British, Bob's your uncle, etc.).
-    var excludeTable = /\b(familiar\s+words?|familiar\s+words?\s+and\s+expressions?)\b/i.test(q);
-    var pickOpts = { focusTerm: focusTerm, excludeTableExamples: excludeTable };
-    var maxPick = (isDefinitional || isConceptQuery) ? 260 : 150;
-    var frags = [];
-    for (var i = 0; i < use.length; i++) {
-      var ex = pickRelevantSentences(use[i].entry.text, tokens, maxPick, pickOpts);
-      if (ex) ex = simplifyForAnswer(ex, '');
-      if (ex && frags.indexOf(ex) === -1) frags.push(ex);
-    }
-    if (frags.length === 0) {
-      var fall = pickRelevantSentences(best.entry.text, tokens, (isDefinitional || isConceptQuery) ? 260 : 160, pickOpts);
-      frags = [simplifyForAnswer(fall || (best.entry.text || '').slice(0, 200), '')];
-    }
-    var msg = frags.join(' ');
+    var best = scored[0];
+    var maxPick = rankOpts.isConceptQuery ? 260 : 150;
+    var ex = pickRelevantSentences(best.entry.text, terms, maxPick);
+    var msg = ex ? simplifyForAnswer(ex, '') : '';
+    if (!msg) msg = simplifyForAnswer((best.entry.text || '').slice(0, 200), '');
     // Preserve newlines (list formatting); clean each line
     var final = (msg.indexOf('\n') >= 0)
       ? msg.split('\n').map(function(line) { return cleanText(line); }).join('\n')
       : cleanText(msg);
-    return { ok: true, message: final };
+    return { ok: true, message: final, source: sourceOf(best.entry) };
+  }
+
+  // --- Glossary: course terms, loaded from glossary.json next to index.html ---
+  //
+  // { "version": 1, "terms": [{ "id", "term", "synonyms": [], "definition", "examples": [],
+  //   "question", "blockIds": [] }] }
+  // term and synonyms are matched as whole words in questions and lesson text; question is the
+  // suggested question for the term (default "What is <term>?"); blockIds link to the course.
+  var GLOSSARY_URL = 'glossary.json';
+  var glossary = [];
+  var glossaryError = '';
+
+  function optionalStringList(list) {
+    return list === undefined || (Array.isArray(list) && list.every(function(x) { return typeof x === 'string' && x.trim(); }));
+  }
+
+  /** One pattern for a term and its synonyms, longest first so "short sentences" beats "short sentence". */
+  function glossaryPattern(words) {
+    var alternatives = words.slice().sort(function(a, b) { return b.length - a.length; }).map(function(w) {
+      return escapeRegExp(w.trim()).replace(/\s+/g, '\\s+');
+    });
+    return new RegExp('(^|[^a-z0-9])(' + alternatives.join('|') + ')(?=[^a-z0-9]|$)', 'i');
+  }
+
+  /** Keep well-formed terms; report the rest so the file can be fixed. */
+  function setGlossary(data) {
+    var seen = {};
+    var terms = [];
+    if (!data || !Array.isArray(data.terms)) console.warn('Glossary file has no "terms" list');
+    (data && Array.isArray(data.terms) ? data.terms : []).forEach(function(item, i) {
+      var name = item && item.id ? '"' + item.id + '"' : '#' + i;
+      var valid = item && typeof item.id === 'string' && item.id && typeof item.term === 'string' && item.term.trim() &&
+        typeof item.definition === 'string' && item.definition.trim() &&
+        optionalStringList(item.synonyms) && optionalStringList(item.examples) && optionalStringList(item.blockIds) &&
+        (item.question === undefined || typeof item.question === 'string');
+      if (!valid) {
+        console.warn('Skipping glossary term ' + name + ': needs id, term and definition; synonyms, examples and blockIds must be lists of text');
+        return;
+      }
+      if (seen[item.id]) {
+        console.warn('Skipping glossary term ' + name + ': the id is used twice');
+        return;
+      }
+      seen[item.id] = true;
+      var words = [item.term].concat(item.synonyms || []);
+      terms.push({
+        id: item.id,
+        term: item.term.trim(),
+        synonyms: item.synonyms || [],
+        definition: item.definition,
+        examples: item.examples || [],
+        question: item.question || 'What is ' + item.term.trim().toLowerCase() + '?',
+        blockIds: item.blockIds || [],
+        pattern: glossaryPattern(words)
+      });
+    });
+    glossary = terms;
+    glossaryError = glossary.length ? '' : 'The glossary has no usable terms';
+    checkGlossaryBlocks();
+  }
+
+  function loadGlossary() {
+    var config = window.NavitoirConfig || {};
+    var url = config.glossaryUrl || GLOSSARY_URL;
+    if (typeof window.fetch !== 'function') {
+      glossaryError = 'This browser cannot load the glossary file';
+      return Promise.resolve();
+    }
+    return window.fetch(url).then(function(res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.json();
+    }).then(setGlossary).catch(function(err) {
+      console.warn('Could not load the glossary from ' + url + ':', err);
+      glossaryError = 'The glossary could not be loaded';
+    });
+  }
+
+  /** Block IDs that are not in the course (renamed or deleted blocks); runs once both are loaded. */
+  function checkGlossaryBlocks() {
+    if (!glossary.length || !courseToc.length) return;
+    var known = {};
+    courseToc.forEach(function(lesson) { lesson.blocks.forEach(function(b) { known[b.blockId] = true; }); });
+    glossary.forEach(function(item) {
+      item.blockIds.forEach(function(id) {
+        if (!known[id]) console.warn('Glossary term "' + item.id + '" links to block ' + id + ', which is not in the course');
+      });
+    });
+  }
+
+  function blockSource(blockId) {
+    for (var i = 0; i < courseIndex.length; i++) {
+      if (courseIndex[i].blockId === blockId) return sourceOf(courseIndex[i]);
+    }
+    return null;
+  }
+
+  /** Term named in the question: the longest match, then the one mentioned first. */
+  function findGlossaryTerm(q) {
+    var best = null;
+    glossary.forEach(function(item) {
+      var m = item.pattern.exec(q);
+      if (!m) return;
+      var at = m.index + m[1].length;
+      if (!best || m[2].length > best.length || (m[2].length === best.length && at < best.at)) {
+        best = { item: item, length: m[2].length, at: at };
+      }
+    });
+    return best ? best.item : null;
+  }
+
+  function glossaryAnswer(item, q, terms, rankOpts) {
+    var message;
+    if (/\bexamples?\b/i.test(q) && item.examples.length) {
+      message = 'Examples of ' + item.term.toLowerCase() + ':\n' + item.examples.map(function(x) { return '• ' + x; }).join('\n');
+    } else {
+      message = item.definition + (item.examples.length ? '\nFor example: ' + item.examples[0] : '');
+    }
+    var source = null;
+    for (var i = 0; i < item.blockIds.length && !source; i++) source = blockSource(item.blockIds[i]);
+    if (!source) {
+      // No usable block in the file: link to where the course search finds the term
+      var covered = terms.length ? rankEntries(terms, rankOpts) : [];
+      source = covered.length ? sourceOf(covered[0].entry) : null;
+    }
+    return { ok: true, message: message, source: source };
+  }
+
+  // --- Conversation memory: transcript, follow-ups and pronoun resolution ---
+  var TRANSCRIPT_KEY = 'navitoirConversation';
+  var MAX_TURNS = 40;       // kept in storage and shown on reopen
+  var HISTORY_TURNS = 6;    // passed to backends as dialogue history
+  var FOLLOW_UP_BOOST = 1.3;
+
+  // Words that carry the question's shape rather than its topic
+  var QUESTION_WORDS = new Set(['give', 'show', 'example', 'examples', 'another', 'more', 'mean', 'means', 'meaning',
+    'define', 'explain', 'quiz', 'question', 'practice', 'use', 'using', 'why', 'better', 'instead', 'also',
+    'matter', 'matters', 'important', 'work', 'works', 'help', 'helps', 'need', 'good', 'bad']);
+  var PRONOUN_PATTERN = /\b(it|that|this|they|them|those|these|its|their)\b/i;
+  // Always stand for something said before; "this", "that", "these" and "those" may start a new subject
+  var STANDALONE_PRONOUN_PATTERN = /\b(it|its|they|them|their)\b/i;
+  var MORE_PATTERN = /^\s*(?:please\s+)?(?:(?:tell|show|give) me\s+|go on,?\s+|say\s+)?(?:some\s+)?more(?:\s+(?:please|about (?:it|that|this)|details?))?\s*[.!?]*\s*$/i;
+  var WHAT_ABOUT_PATTERN = /^\s*(?:and\s+)?(?:what|how)\s+about\s+(.+?)\s*\??\s*$/i;
+
+  // turns: [{ role: 'user' | 'assistant', text, source, query }]; query: a follow-up as it was resolved
+  // topic: last question's subject and block
+  var conversation = { turns: [], topic: null };
+
+  function loadConversation() {
+    try {
+      var saved = window.localStorage && JSON.parse(localStorage.getItem(TRANSCRIPT_KEY) || 'null');
+      if (saved && Array.isArray(saved.turns)) {
+        conversation.turns = saved.turns.filter(function(t) {
+          return t && (t.role === 'user' || t.role === 'assistant') && typeof t.text === 'string';
+        }).slice(-MAX_TURNS);
+        conversation.topic = saved.topic && typeof saved.topic.words === 'string' ? saved.topic : null;
+      }
+    } catch (e) {
+      console.warn('Could not read the assistant conversation:', e);
+    }
+  }
+
+  function saveConversation() {
+    try {
+      if (window.localStorage) localStorage.setItem(TRANSCRIPT_KEY, JSON.stringify(conversation));
+    } catch (e) {
+      console.warn('Could not save the assistant conversation:', e);
+    }
+  }
+
+  function addTurn(role, text, source, sources) {
+    var turn = { role: role, text: text, source: source || null };
+    if (sources && sources.length) turn.sources = sources;
+    conversation.turns.push(turn);
+    if (conversation.turns.length > MAX_TURNS) conversation.turns = conversation.turns.slice(-MAX_TURNS);
+    saveConversation();
+    return turn;
+  }
+
+  function clearConversation() {
+    conversation.turns = [];
+    conversation.topic = null;
+    try {
+      if (window.localStorage) localStorage.removeItem(TRANSCRIPT_KEY);
+    } catch (e) {
+      console.warn('Could not clear the assistant conversation:', e);
+    }
+  }
+
+  /** Subject words of a question ("what is passive voice?" -> "passive voice"). */
+  function topicWords(q) {
+    return tokenize(q).filter(function(w) { return !STOP_WORDS.has(w) && !QUESTION_WORDS.has(w); }).join(' ');
+  }
+
+  /**
+   * Does a question with a pronoun point back at the previous subject? "how do I avoid it" and
+   * "why does that matter" do; "what is this course about?" doesn't. A question the course can't
+   * answer on its own is read against the previous subject too.
+   */
+  function refersBack(q) {
+    if (STANDALONE_PRONOUN_PATTERN.test(q)) return true;
+    var tokens = tokenize(q);
+    for (var i = 0; i < tokens.length; i++) {
+      if (!/^(this|that|these|those)$/.test(tokens[i])) continue;
+      var next = tokens[i + 1];
+      if (/^(course|lesson|page|module)$/.test(next)) continue;
+      if (!next || STOP_WORDS.has(next) || QUESTION_WORDS.has(next)) return true;
+    }
+    return !!topicWords(q) && retrievePassages(q, 1).length === 0;
+  }
+
+  /**
+   * Rewrite a follow-up against the previous topic:
+   * "what about passive voice?" reuses the previous question's shape,
+   * "give me an example of that" and "how do I avoid it" get the previous subject appended,
+   * "tell me more" asks for course text on the previous subject.
+   * @returns {{ query: string, blockId: string, more?: boolean }} blockId: previous answer's block,
+   *   preferred in ranking; more: answer from the course text rather than the glossary summary
+   */
+  function resolveFollowUp(q) {
+    var topic = conversation.topic;
+    if (!topic) return { query: q, blockId: '' };
+    var about = WHAT_ABOUT_PATTERN.exec(q);
+    if (about) {
+      return { query: (topic.definitional ? 'what is ' : '') + about[1], blockId: '' };
+    }
+    if (MORE_PATTERN.test(q)) {
+      return { query: 'more about ' + topic.words, blockId: topic.blockId || '', more: true };
+    }
+    if (PRONOUN_PATTERN.test(q) && refersBack(q)) {
+      return { query: q + ' ' + topic.words, blockId: topic.blockId || '' };
+    }
+    return { query: q, blockId: '' };
+  }
+
+  function rememberTopic(query, source) {
+    var words = topicWords(query);
+    if (!words) return;
+    conversation.topic = {
+      words: words,
+      definitional: /what is|define|meaning of|what does .+ mean/i.test(query),
+      blockId: source ? source.blockId : ''
+    };
+    saveConversation();
+  }
+
+  /** Recent turns for backends: [{ role, text }] */
+  function recentHistory() {
+    return conversation.turns.slice(-HISTORY_TURNS).map(function(t) { return { role: t.role, text: t.text }; });
+  }
+
+  // --- Answer backends ---
+  //
+  // A backend is { answer: function(question, context) } returning { ok, message, source }
+  // or a Promise of one. context.passages holds the top course passages for the question,
+  // context.history the last few turns ({ role, text }) and context.local() gives the
+  // built-in retrieval answer (useful as a fallback).
+  //
+  // Page-level configuration, read at startup:
+  //   window.NavitoirConfig = {
+  //     backend: 'http',                 // name of the backend to use (default 'local')
+  //     grounded: true,                  // only show answers supported by course text (default true)
+  //     http: { endpoint: '/api/ask', timeout: 8000, headers: {}, passages: 5 }
+  //   };
+
+  var DEFAULT_HTTP_TIMEOUT = 8000;
+  var DEFAULT_PASSAGES = 5;
+  // Share of an answer's terms that must appear in the passages sent with the question
+  var MIN_GROUNDING = 0.6;
+
+  var backends = {};
+  var activeBackend = 'local';
+  var grounded = true;
+
+  /** Ranking options shared by answerFromCourse and retrievePassages. */
+  function queryOptions(q, terms, context) {
+    var isDefinitional = /what is|define|meaning of|what does .+ mean/i.test(q);
+    var wantExamples = /example|quiz|question|practice/i.test(q);
+    return {
+      isDefinitional: isDefinitional,
+      // Exclude quiz items (question/answer) unless user asks for examples
+      typeOk: function(e) { return wantExamples || (e.type !== 'question' && e.type !== 'answer'); },
+      // Short questions name a concept ("active voice"); prefer explanations over headings
+      isConceptQuery: isDefinitional || terms.length <= 3,
+      preferBlockId: (context && context.blockId) || ''
+    };
+  }
+
+  /** Top course passages for a question, best first. */
+  function retrievePassages(q, limit, context) {
+    var terms = uniqueTerms(analyze(q));
+    if (!terms.length || courseIndex.length === 0) return [];
+    return rankEntries(terms, queryOptions(q, terms, context)).slice(0, limit || DEFAULT_PASSAGES).map(function(x) {
+      return {
+        text: x.entry.text,
+        lessonId: x.entry.lessonId,
+        blockId: x.entry.blockId,
+        lessonTitle: x.entry.lessonTitle,
+        type: x.entry.type,
+        score: x.score
+      };
+    });
+  }
+
+  /** Whether most of the answer's terms come from the passages it was given. */
+  function isGrounded(message, passages) {
+    var answerTerms = uniqueTerms(analyze(message));
+    if (!answerTerms.length) return false;
+    var passageTerms = new Set();
+    passages.forEach(function(p) { analyze(p.text).forEach(function(t) { passageTerms.add(t); }); });
+    var hits = answerTerms.filter(function(t) { return passageTerms.has(t); }).length;
+    return hits / answerTerms.length >= MIN_GROUNDING;
+  }
+
+  /**
+   * Register an answer backend.
+   * @param {string} name
+   * @param {{ answer: Function }} backend
+   * @param {{ activate?: boolean }} [options] activate: use it for new questions right away
+   * @returns {boolean} whether it was registered
+   */
+  function registerBackend(name, backend, options) {
+    if (!name || typeof name !== 'string' || !backend || typeof backend.answer !== 'function') {
+      console.warn('Navitoir.registerBackend needs a name and an object with an answer() function');
+      return false;
+    }
+    backends[name] = backend;
+    if (options && options.activate) activeBackend = name;
+    return true;
+  }
+
+  function useBackend(name) {
+    if (!backends[name]) {
+      console.warn('Unknown Navitoir backend: ' + name);
+      return false;
+    }
+    activeBackend = name;
+    return true;
+  }
+
+  /**
+   * Backend that posts { question, passages, history, grounded, instructions } to an endpoint and
+   * expects { answer: string, source?: number } back, where source indexes into passages.
+   */
+  function createHttpBackend(options) {
+    options = options || {};
+    var timeout = options.timeout || DEFAULT_HTTP_TIMEOUT;
+    return {
+      answer: function(question, context) {
+        if (!options.endpoint || typeof window.fetch !== 'function') return Promise.reject(new Error('No endpoint configured'));
+        var controller = typeof AbortController === 'function' ? new AbortController() : null;
+        var timer = setTimeout(function() { if (controller) controller.abort(); }, timeout);
+        var body = {
+          question: question,
+          passages: context.passages,
+          history: context.history,
+          grounded: context.grounded,
+          instructions: context.grounded
+            ? 'Answer only from the passages. If they do not contain the answer, say so.'
+            : 'Prefer the passages when answering.'
+        };
+        return window.fetch(options.endpoint, {
+          method: 'POST',
+          headers: Object.assign({ 'Content-Type': 'application/json' }, options.headers || {}),
+          body: JSON.stringify(body),
+          signal: controller ? controller.signal : undefined
+        }).then(function(res) {
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          return res.json();
+        }).then(function(data) {
+          var message = data && typeof data.answer === 'string' ? data.answer.trim() : '';
+          if (!message) throw new Error('Empty answer');
+          var cited = data && typeof data.source === 'number' ? context.passages[data.source] : context.passages[0];
+          return { ok: true, message: message, source: sourceOf(cited) };
+        }).finally(function() {
+          clearTimeout(timer);
+        });
+      }
+    };
+  }
+
+  /**
+   * Answer with the active backend. Falls back to local retrieval when the backend
+   * fails, times out or (in grounded mode) strays from the course text.
+   * @param {string} q
+   * @param {{ blockId?: string, more?: boolean }} [followUp] block of the previous answer
+   * @returns {Promise<{ ok: boolean, message: string, source?: Object }>}
+   */
+  function answerWithBackend(q, followUp) {
+    var name = activeBackend;
+    var backend = backends[name];
+    var local = function() { return answerFromCourse(q, followUp); };
+    if (!backend || name === 'local') return Promise.resolve(local());
+    var passages = retrievePassages(q, backend.passages || DEFAULT_PASSAGES, followUp);
+    // Nothing in the course to ground an answer on: don't ask the backend to invent one
+    if (grounded && passages.length === 0) return Promise.resolve(local());
+    var context = { passages: passages, grounded: grounded, history: recentHistory(), local: local };
+    return Promise.resolve().then(function() {
+      return backend.answer(q, context);
+    }).then(function(res) {
+      if (!res || typeof res.message !== 'string' || !res.message) throw new Error('No answer');
+      if (grounded && !isGrounded(res.message, passages)) throw new Error('Answer not supported by course text');
+      return res;
+    }).catch(function(err) {
+      console.warn('Navitoir backend "' + name + '" failed, using course search:', err);
+      return local();
+    });
+  }
+
+  registerBackend('local', { answer: function(q) { return answerFromCourse(q); } });
+
+  /** Apply window.NavitoirConfig (see above). */
+  function configureBackends() {
+    var config = window.NavitoirConfig;
+    if (!config || typeof config !== 'object') return;
+    if (config.grounded === false) grounded = false;
+    if (config.http && config.http.endpoint) {
+      var http = createHttpBackend(config.http);
+      http.passages = config.http.passages;
+      registerBackend('http', http);
+    }
+    if (config.backend) useBackend(config.backend);
+  }
+
+  // --- Writing practice: plain-language checker ("Check my writing" mode) ---
+  //
+  // Everything runs locally. Pages can extend the word list or change the sentence limit:
+  //   window.NavitoirConfig = { plainLanguage: { maxSentenceWords: 20, jargon: { 'onboard': 'welcome' } } };
+
+  var DEFAULT_MAX_SENTENCE_WORDS = 20;  // the course's 15–20 word guideline
+
+  // Jargon and formal words -> familiar alternatives (multi-word phrases allowed)
+  var PLAIN_WORDS = {
+    'utilise': 'use', 'utilize': 'use', 'utilisation': 'use', 'utilization': 'use',
+    'facilitate': 'help, run', 'commence': 'start, begin', 'terminate': 'end, stop',
+    'endeavour': 'try', 'endeavor': 'try', 'leverage': 'use', 'synergy': 'working together',
+    'ascertain': 'find out', 'approximately': 'about', 'assistance': 'help',
+    'sufficient': 'enough', 'additional': 'more, extra', 'demonstrate': 'show',
+    'purchase': 'buy', 'regarding': 'about', 'subsequently': 'later, then',
+    'notwithstanding': 'despite, even though', 'henceforth': 'from now on',
+    'aforementioned': 'this, that', 'herewith': 'here is', 'egress': 'exit',
+    'remuneration': 'pay', 'prior to': 'before', 'in order to': 'to',
+    'with regard to': 'about', 'in relation to': 'about', 'in the event that': 'if',
+    'at this point in time': 'now', 'due to the fact that': 'because',
+    'a large number of': 'many', 'per annum': 'a year', 'going forward': 'from now on',
+    'touch base': 'talk, meet', 'circle back': 'come back to', 'bandwidth': 'time',
+    'deliverables': 'results, work', 'actionable': 'practical', 'paradigm': 'model',
+    'low-hanging fruit': 'easy wins', 'bob\'s your uncle': 'and that\'s it'
+  };
+
+  // Irregular past participles; regular ones end in -ed
+  var IRREGULAR_PARTICIPLES = ('been begun bitten blown broken brought built bought caught chosen come cut done drawn ' +
+    'driven eaten fallen felt fought found forgotten forgiven frozen given gone grown held hidden hit hurt kept known ' +
+    'laid led left lent lost made meant met paid put read ridden run said seen sent set shown shut sold spent spoken ' +
+    'stolen struck sung taken taught thrown told thought understood won worn written').split(' ');
+  var PASSIVE_PATTERN = new RegExp('\\b(am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?(\\w+ed|' +
+    IRREGULAR_PARTICIPLES.join('|') + ')\\b(\\s+by\\b)?', 'i');
+
+  function plainLanguageConfig() {
+    var config = (window.NavitoirConfig && window.NavitoirConfig.plainLanguage) || {};
+    return {
+      maxSentenceWords: config.maxSentenceWords || DEFAULT_MAX_SENTENCE_WORDS,
+      jargon: Object.assign({}, PLAIN_WORDS, config.jargon || {})
+    };
+  }
+
+  function splitSentences(text) {
+    return text.replace(/\s+/g, ' ').replace(/([.?!])\s+(?=["“'‘(]?[A-Z0-9])/g, '$1\n').split('\n')
+      .map(function(s) { return s.trim(); })
+      .filter(function(s) { return /[a-z]/i.test(s); });
+  }
+
+  function countWords(sentence) {
+    return (sentence.match(/[a-z0-9’'-]+/gi) || []).length;
+  }
+
+  /** Vowel-group syllable estimate, good enough for readability scores. */
+  function countSyllables(word) {
+    var w = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!w) return 0;
+    if (w.length <= 3) return 1;
+    w = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    var groups = w.match(/[aeiouy]{1,2}/g);
+    return groups ? groups.length : 1;
+  }
+
+  /**
+   * A word from the text is the dictionary word or an inflection of it: "utilised" and "facilitating"
+   * match, but a shorter word with the same stem ("action" for "actionable") does not.
+   */
+  function isFormOf(word, dictionaryWord) {
+    return word === dictionaryWord || (word.length >= dictionaryWord.length - 1 && stem(word) === stem(dictionaryWord));
+  }
+
+  function quote(sentence, max) {
+    max = max || 60;
+    return '“' + (sentence.length > max ? sentence.slice(0, max).replace(/\s+\S*$/, '') + '…' : sentence) + '”';
+  }
+
+  function readingEaseLabel(score) {
+    if (score >= 80) return 'easy';
+    if (score >= 60) return 'plain English';
+    if (score >= 50) return 'fairly difficult';
+    if (score >= 30) return 'difficult';
+    return 'very difficult';
+  }
+
+  /**
+   * Check text against the course's plain-language principles.
+   * @returns {{ ok: boolean, message: string }}
+   */
+  function checkPlainLanguage(text) {
+    var config = plainLanguageConfig();
+    var sentences = splitSentences(text || '');
+    if (!sentences.length) return { ok: false, message: 'Paste a sentence or paragraph of your own writing to check it.' };
+
+    var words = (text.match(/[a-z0-9’'-]+/gi) || []);
+    var syllables = words.reduce(function(n, w) { return n + countSyllables(w); }, 0);
+    var wordsPerSentence = words.length / sentences.length;
+    var grade = 0.39 * wordsPerSentence + 11.8 * (syllables / words.length) - 15.59;
+    var ease = 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / words.length);
+
+    var lines = [
+      'Readability: Flesch-Kincaid grade ' + Math.max(0, grade).toFixed(1) + ', reading ease ' +
+        Math.round(Math.max(0, Math.min(100, ease))) + ' (' + readingEaseLabel(ease) + ').',
+      sentences.length + (sentences.length === 1 ? ' sentence, ' : ' sentences, ') + words.length +
+        ' words, ' + Math.round(wordsPerSentence) + ' words per sentence on average.'
+    ];
+
+    var long = sentences.filter(function(s) { return countWords(s) > config.maxSentenceWords; });
+    if (long.length) {
+      lines.push('', 'Long sentences (over ' + config.maxSentenceWords + ' words). Try one idea per sentence:');
+      long.forEach(function(s) { lines.push('• ' + quote(s) + ' – ' + countWords(s) + ' words'); });
+    }
+
+    var passive = [];
+    sentences.forEach(function(s) {
+      var m = PASSIVE_PATTERN.exec(s);
+      if (m) passive.push('• “' + m[0].trim() + '” in ' + quote(s, 50));
+    });
+    if (passive.length) {
+      lines.push('', 'Possible passive voice. Try putting who does the action first:');
+      lines = lines.concat(passive);
+    }
+
+    var textWords = [];
+    var wordPattern = /[a-z]+/g;
+    var w;
+    while ((w = wordPattern.exec(text.toLowerCase()))) textWords.push({ word: w[0], at: w.index, end: w.index + w[0].length });
+    // In the order they appear in the text, as they were written ("utilised", not "utilise")
+    var jargon = Object.keys(config.jargon).map(function(term) {
+      var parts = term.toLowerCase().match(/[a-z]+/g) || [];
+      for (var i = 0; parts.length && i + parts.length <= textWords.length; i++) {
+        var found = parts.every(function(part, j) { return isFormOf(textWords[i + j].word, part); });
+        if (found) return { term: term, at: textWords[i].at, found: text.slice(textWords[i].at, textWords[i + parts.length - 1].end) };
+      }
+      return null;
+    }).filter(Boolean).sort(function(a, b) { return a.at - b.at; });
+    if (jargon.length) {
+      lines.push('', 'Words with more familiar alternatives:');
+      jargon.forEach(function(x) { lines.push('• ' + x.found + ' → ' + config.jargon[x.term]); });
+    }
+
+    if (!long.length && !passive.length && !jargon.length) {
+      lines.push('', 'No long sentences, passive voice or jargon found. Nice work!');
+    }
+    return { ok: true, message: lines.join('\n') };
+  }
+
+  // --- Writing practice: inclusive-language linter ("Check inclusive language" mode) ---
+  //
+  // Rules live in inclusive-language-rules.json next to index.html (override the location with
+  // window.NavitoirConfig.inclusiveRulesUrl). Each rule has an id, a category from the file's
+  // `categories`, the terms to flag, suggested replacements, an explanation, and a
+  // `courseQuery` (or `blockId`) pointing at the course block that covers it.
+
+  var INCLUSIVE_RULES_URL = 'inclusive-language-rules.json';
+  var inclusiveRules = { categories: {}, rules: [], error: '' };
+
+  function isStringList(list) {
+    return Array.isArray(list) && list.length > 0 && list.every(function(x) { return typeof x === 'string' && x.trim(); });
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /** Whole-word, case-insensitive pattern for a term; spaces match any run of whitespace. */
+  function termPattern(term) {
+    return new RegExp('(^|[^a-z0-9])(' + escapeRegExp(term.trim()).replace(/\s+/g, '\\s+') + ')(?=[^a-z0-9]|$)', 'gi');
+  }
+
+  /** Keep well-formed rules; report the rest so the file can be fixed. */
+  function setInclusiveRules(data) {
+    var categories = data && typeof data.categories === 'object' ? data.categories : {};
+    var rules = [];
+    (data && Array.isArray(data.rules) ? data.rules : []).forEach(function(rule, i) {
+      var valid = rule && typeof rule.id === 'string' && categories[rule.category] &&
+        isStringList(rule.terms) && isStringList(rule.suggestions) && typeof rule.explanation === 'string';
+      if (!valid) {
+        console.warn('Skipping inclusive-language rule ' + (rule && rule.id ? '"' + rule.id + '"' : '#' + i) + ': needs id, a known category, terms, suggestions and explanation');
+        return;
+      }
+      rules.push({
+        id: rule.id,
+        category: rule.category,
+        terms: rule.terms,
+        patterns: rule.terms.map(termPattern),
+        suggestions: rule.suggestions,
+        explanation: rule.explanation,
+        courseQuery: typeof rule.courseQuery === 'string' ? rule.courseQuery : '',
+        blockId: typeof rule.blockId === 'string' ? rule.blockId : ''
+      });
+    });
+    inclusiveRules = { categories: categories, rules: rules, error: rules.length ? '' : 'No usable rules' };
+    checkRuleSources();
+  }
+
+  function loadInclusiveRules() {
+    var config = window.NavitoirConfig || {};
+    var url = config.inclusiveRulesUrl || INCLUSIVE_RULES_URL;
+    if (typeof window.fetch !== 'function') {
+      inclusiveRules.error = 'This browser cannot load the rules file';
+      return;
+    }
+    window.fetch(url).then(function(res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.json();
+    }).then(setInclusiveRules).catch(function(err) {
+      console.warn('Could not load inclusive-language rules from ' + url + ':', err);
+      inclusiveRules.error = 'The rules file could not be loaded';
+    });
+  }
+
+  /** Course block a rule points at: its blockId, else the best match for its courseQuery. */
+  function ruleSource(rule) {
+    var source = rule.blockId ? blockSource(rule.blockId) : null;
+    if (source) return source;
+    var passages = rule.courseQuery ? retrievePassages(rule.courseQuery, 1) : [];
+    return passages.length ? sourceOf(passages[0]) : null;
+  }
+
+  /** Rules that link to no course block (unknown blockId, or a courseQuery with no match); runs once both are loaded. */
+  function checkRuleSources() {
+    if (!inclusiveRules.rules.length || !courseIndex.length) return;
+    inclusiveRules.rules.forEach(function(rule) {
+      if (rule.blockId && !blockSource(rule.blockId)) {
+        console.warn('Inclusive-language rule "' + rule.id + '" links to block ' + rule.blockId + ', which is not in the course');
+      } else if (!ruleSource(rule)) {
+        console.warn('Inclusive-language rule "' + rule.id + '" has no blockId or courseQuery that finds a course block');
+      }
+    });
+  }
+
+  /**
+   * Scan text with the inclusive-language rules.
+   * @returns {{ ok: boolean, message: string, sources?: Array<{ label: string, source: Object }> }}
+   */
+  function checkInclusiveLanguage(text) {
+    if (!text || !text.trim()) return { ok: false, message: 'Paste some of your own writing to check it for inclusive language.' };
+    if (!inclusiveRules.rules.length) {
+      return { ok: false, message: inclusiveRules.error ? 'Sorry, the inclusive-language check is unavailable: ' + inclusiveRules.error.toLowerCase() + '.' : 'The inclusive-language rules are still loading. Please try again in a moment.' };
+    }
+
+    var hits = [];
+    inclusiveRules.rules.forEach(function(rule) {
+      rule.patterns.forEach(function(pattern) {
+        pattern.lastIndex = 0;
+        var m;
+        while ((m = pattern.exec(text))) {
+          hits.push({ rule: rule, found: m[2], at: m.index + m[1].length });
+        }
+      });
+    });
+    if (!hits.length) {
+      return { ok: true, message: 'No phrases from the inclusive-language rules found. Remember to check for assumptions the rules can\'t catch.' };
+    }
+    // Longest match first at each position; "elderly" inside "the elderly" is the same finding
+    hits.sort(function(a, b) { return a.at - b.at || b.found.length - a.found.length; });
+    var end = 0;
+    hits = hits.filter(function(h) {
+      if (h.at < end) return false;
+      end = h.at + h.found.length;
+      return true;
+    });
+
+    var lines = ['Found ' + hits.length + (hits.length === 1 ? ' phrase' : ' phrases') + ' to reconsider:'];
+    Object.keys(inclusiveRules.categories).forEach(function(category) {
+      var inCategory = hits.filter(function(h) { return h.rule.category === category; });
+      if (!inCategory.length) return;
+      lines.push('', inclusiveRules.categories[category] + ':');
+      inCategory.forEach(function(h) {
+        lines.push('• “' + h.found + '” → ' + h.rule.suggestions.slice(0, 3).join(', ') + '. ' + h.rule.explanation);
+      });
+    });
+
+    var sources = [];
+    var seen = {};
+    hits.forEach(function(h) {
+      if (seen[h.rule.id]) return;
+      seen[h.rule.id] = true;
+      var source = ruleSource(h.rule);
+      var key = source ? source.blockId || source.lessonId : '';
+      if (!source || seen['block:' + key]) return;
+      seen['block:' + key] = true;
+      sources.push({ label: 'See the course on “' + h.found + '”', source: source });
+    });
+    return { ok: true, message: lines.join('\n'), sources: sources };
+  }
+
+  // --- Intents: accessibility commands, recognised before course retrieval ---
+
+  /**
+   * Phrase -> setting change. `value` sets a level, `step` moves one level up or down.
+   * Checked in order; generic "turn on/off <setting label>" matching runs after these.
+   * Size, spacing and contrast words must sit within two words of each other, so
+   * "increase the clarity of the text" is not read as "increase the text".
+   */
+  var SETTING_COMMANDS = [
+    { pattern: /\b(bigger|larger|increase|enlarge|zoom in)\b(?:\s+\S+){0,2}\s+(text|font|letters|writing)\b|\b(text|font|letters|writing)\b(?:\s+\S+){0,2}\s+(bigger|larger|increase)\b/i, key: 'largeText', step: 1 },
+    { pattern: /\b(smaller|decrease|shrink|zoom out)\b(?:\s+\S+){0,2}\s+(text|font|letters|writing)\b|\b(text|font|letters|writing)\b(?:\s+\S+){0,2}\s+(smaller|decrease)\b/i, key: 'largeText', step: -1 },
+    { pattern: /\b(more|increase|bigger|wider)\b(?:\s+\S+){0,2}\s+spac(e|es|ing)\b/i, key: 'textSpacing', step: 1 },
+    { pattern: /\b(less|decrease|reduce|tighter)\b(?:\s+\S+){0,2}\s+spac(e|es|ing)\b/i, key: 'textSpacing', step: -1 },
+    { pattern: /\b(more|increase|higher|high)\b(?:\s+\S+){0,2}\s+contrast\b/i, key: 'contrast', step: 1 },
+    { pattern: /\b(turn off|switch off|disable)\b.*\bdark (mode|theme)\b/i, key: 'contrast', value: 0 },
+    { pattern: /\b(turn on|switch on|switch to|enable|use)\b.*\bdark (mode|theme)\b/i, key: 'contrast', value: 2 },
+    { pattern: /\b(turn off|switch off|hide|remove|disable|no more|get rid of)\b.*\b(images?|pictures?|photos?)\b/i, key: 'hideImages', value: 1 },
+    { pattern: /\b(turn on|switch on|show|bring back|enable)\b.*\b(images?|pictures?|photos?)\b/i, key: 'hideImages', value: 0 },
+    { pattern: /\b(stop|turn off|switch off|disable|no)\b.*\b(animations?|motion|moving)\b/i, key: 'reducedMotion', value: 1 },
+    { pattern: /\b(turn on|switch on|enable|allow)\b.*\b(animations?|motion)\b/i, key: 'reducedMotion', value: 0 },
+    { pattern: /\b(turn on|switch on|enable|use)\b.*\b(night mode|warm colou?rs?)\b/i, key: 'blueLightFilter', value: 1 },
+    { pattern: /\b(turn on|switch on|enable|use|show)\b.*\b(ruler|reading mask)\b/i, key: 'readingGuide', value: 1 }
+  ];
+
+  var ON_WORDS = /\b(turn on|switch on|enable|activate|start)\b/i;
+  var OFF_WORDS = /\b(turn off|switch off|disable|deactivate|stop)\b/i;
+  var RESET_PATTERN = /\breset\b.*\b(everything|all|settings|accessibility)\b|\b(everything|settings)\b.*\bback to (normal|default)\b|\brestore (the )?defaults?\b/i;
+  var READ_PATTERN = /^read\b.*\b(to me|aloud|out loud)\b|^read (this|it|the (page|lesson|text))\b/i;
+  var STOP_READING_PATTERN = /\bstop (reading|talking|speaking)\b|\bbe quiet\b/i;
+
+  /**
+   * Commands are imperatives about the course page: "make the text bigger", "read this to me",
+   * also asked politely ("could you turn on dark mode?"). Questions ("why is high contrast
+   * important?") and advice about the learner's own writing ("use more white space in your
+   * writing") go to course search instead.
+   */
+  var POLITE_PREFIX_PATTERN = /^(?:please,?\s+)?(?:(can|could|would|will) you(?:\s+please)?,?\s+)?(?:please,?\s+)?/i;
+  var QUESTION_PATTERN = /^(what|why|how|should|can|could|would|will|do|does|did|is|are|was|were|when|where|who|which|shall|may|might|must)\b|\?$/i;
+  var COMMAND_VERB_PATTERN = /^(make(?! sure)|turn|switch|show|hide|read|increase|decrease|enlarge|shrink|zoom|reduce|raise|lower|enable|disable|activate|deactivate|start|stop|reset|restore|put|set|remove|use|bring|allow|get rid|be quiet)\b/i;
+  var OWN_WRITING_PATTERN = /\b(my|your|our|their) (own )?(writing|text|content|documents?|emails?|messages?|slides?|reports?)\b|\b(readers?|audiences?|people)\b/i;
+
+  /** @returns {string|null} the command without "please" or "can you", or null when q is not a command */
+  function asCommand(q) {
+    var command = q.trim();
+    var polite = POLITE_PREFIX_PATTERN.exec(command);
+    command = command.slice(polite[0].length).replace(/,?\s+please([.!?]*)$/i, '$1');
+    // "Can you make the text bigger?" is a request, not a question about the course
+    command = command.replace(polite[1] ? /[.!?]+$/ : /[.!]+$/, '');
+    if (QUESTION_PATTERN.test(command) || !COMMAND_VERB_PATTERN.test(command)) return null;
+    return OWN_WRITING_PATTERN.test(command) ? null : command;
+  }
+
+  function describeLevel(config, level) {
+    if (level === 0) return 'off';
+    if (config.binary) return 'on';
+    return (config.levelLabels && config.levelLabels[level - 1]) || 'level ' + level;
+  }
+
+  /** Match "turn on/off <label>" against every registered setting, custom features included. */
+  function findLabelCommand(q, config) {
+    var on = ON_WORDS.test(q);
+    var off = OFF_WORDS.test(q);
+    if (on === off) return null;
+    var keys = Object.keys(config);
+    for (var i = 0; i < keys.length; i++) {
+      if (q.toLowerCase().indexOf(config[keys[i]].label.toLowerCase()) !== -1) {
+        return { key: keys[i], on: on };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Recognise an accessibility command and carry it out.
+   * @returns {{ ok: boolean, message: string, undo: Function }|null} null when q is not a command
+   */
+  function runIntent(q) {
+    var a11y = window.A11yPortfolio;
+    q = asCommand(q);
+    if (!a11y || !q) return null;
+    var before = a11y.getState();
+    var undoState = function() { a11y.restore(before); };
+
+    if (RESET_PATTERN.test(q)) {
+      a11y.reset();
+      return { ok: true, message: 'Done: all accessibility settings are back to their defaults.', undo: undoState };
+    }
+    if (STOP_READING_PATTERN.test(q)) {
+      a11y.stopReading();
+      stopSpeaking();
+      return { ok: true, message: 'Stopped reading.' };
+    }
+    if (READ_PATTERN.test(q)) {
+      if (!('speechSynthesis' in window)) return { ok: false, message: 'Sorry, this browser can\'t read text aloud.' };
+      if (aiOpen) toggleAIPanel();
+      a11y.set('textToSpeech', 1, { silent: true });
+      a11y.read();
+      return {
+        ok: true,
+        message: 'Reading this lesson aloud. Use the Read aloud toolbar to pause or skip.',
+        undo: function() { a11y.stopReading(); undoState(); }
+      };
+    }
+
+    var config = a11y.getConfig();
+    var key = null;
+    var value = null;
+    for (var i = 0; i < SETTING_COMMANDS.length; i++) {
+      var cmd = SETTING_COMMANDS[i];
+      if (cmd.pattern.test(q) && config[cmd.key]) {
+        key = cmd.key;
+        value = cmd.step ? before[key] + cmd.step : cmd.value;
+        break;
+      }
+    }
+    if (!key) {
+      var match = findLabelCommand(q, config);
+      if (!match) return null;
+      key = match.key;
+      // "Turn on" keeps a level that is already on
+      value = match.on ? Math.max(1, before[key]) : 0;
+    }
+
+    var cfg = config[key];
+    var max = cfg.binary ? 1 : cfg.levels;
+    value = Math.max(0, Math.min(max, value));
+    if (value === before[key]) {
+      return { ok: true, message: cfg.label + ' is already ' + describeLevel(cfg, value) + '.' };
+    }
+    a11y.set(key, value);
+    return { ok: true, message: 'Done: ' + cfg.label + ' is now ' + describeLevel(cfg, value) + '.', undo: undoState };
+  }
+
+  // --- Deep links: open the source lesson, then find and highlight the block ---
+  var JUMP_RETRY_DELAY = 300;
+  var JUMP_MAX_TRIES = 20;
+  var HIGHLIGHT_MS = 2500;
+  var jumpRun = 0;
+
+  function lessonBlockIds(lessonId) {
+    for (var i = 0; i < courseToc.length; i++) {
+      if (courseToc[i].lessonId === lessonId) return courseToc[i].blocks.map(function(b) { return b.blockId; });
+    }
+    return [];
+  }
+
+  function prefersReducedMotion() {
+    var a11y = window.A11yPortfolio;
+    if (a11y && a11y.getState().reducedMotion) return true;
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /** Scroll the block into view, outline it briefly and move focus to it for screen-reader users. */
+  function revealBlock(el) {
+    el.scrollIntoView({ block: 'center', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    var prev = { outline: el.style.outline, outlineOffset: el.style.outlineOffset };
+    var addedTabIndex = !el.hasAttribute('tabindex');
+    el.style.outline = '3px solid #10b981';
+    el.style.outlineOffset = '4px';
+    if (addedTabIndex) el.setAttribute('tabindex', '-1');
+    el.focus({ preventScroll: true });
+    setTimeout(function() {
+      el.style.outline = prev.outline;
+      el.style.outlineOffset = prev.outlineOffset;
+      if (addedTabIndex) el.removeAttribute('tabindex');
+    }, HIGHLIGHT_MS);
+  }
+
+  function goToSource(source) {
+    var run = ++jumpRun;
+    var route = '#/lessons/' + source.lessonId;
+    if (aiOpen) toggleAIPanel();
+    if (location.hash !== route && location.hash.indexOf(route + '/') !== 0) location.hash = route;
+    if (!source.blockId) return;
+
+    var order = lessonBlockIds(source.lessonId);
+    var target = order.indexOf(source.blockId);
+    var selector = '[data-block-id="' + (window.CSS && CSS.escape ? CSS.escape(source.blockId) : source.blockId) + '"]';
+    var tries = 0;
+    function attempt() {
+      if (run !== jumpRun) return;
+      var el = document.querySelector(selector);
+      if (el) { revealBlock(el); return; }
+      if (++tries > JUMP_MAX_TRIES) return;
+      // Rise only renders blocks near the viewport: scroll toward the target and look again
+      var rendered = Array.prototype.filter.call(document.querySelectorAll('[data-block-id]'), function(b) {
+        return order.indexOf(b.getAttribute('data-block-id')) !== -1;
+      });
+      if (rendered.length) {
+        var first = rendered[0];
+        var last = rendered[rendered.length - 1];
+        if (target !== -1 && target < order.indexOf(first.getAttribute('data-block-id'))) first.scrollIntoView({ block: 'start' });
+        else last.scrollIntoView({ block: 'end' });
+      }
+      setTimeout(attempt, JUMP_RETRY_DELAY);
+    }
+    // Give the route change a moment to render the lesson
+    setTimeout(attempt, JUMP_RETRY_DELAY);
+  }
+
+  function createSourceLink(source, label) {
+    var link = document.createElement('a');
+    link.href = '#/lessons/' + source.lessonId;
+    link.textContent = label || 'Go to this in the course';
+    if (source.lessonTitle) link.setAttribute('aria-label', link.textContent + ': ' + source.lessonTitle);
+    link.style.cssText = 'display:inline-block;margin-top:6px;color:#047857;font-weight:500;text-decoration:underline;';
+    link.addEventListener('click', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      goToSource(source);
+    });
+    return link;
+  }
+
+  function createUndoButton(undo) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Undo';
+    btn.style.cssText = 'margin-top:6px;padding:4px 12px;border:2px solid #10b981;border-radius:8px;background:#fff;color:#047857;font-weight:500;cursor:pointer;';
+    btn.addEventListener('click', function(e) {
+      e.stopPropagation();
+      undo();
+      btn.disabled = true;
+      btn.textContent = 'Undone';
+      btn.style.cursor = 'default';
+    });
+    return btn;
+  }
+
+  // --- Suggested questions: built from courseToc headings and the glossary, current lesson first ---
+  var MAX_SUGGESTIONS = 4;
+  var FOLLOW_UP_BLOCKS = 2;  // later blocks of the same lesson offered after an answer
+  // Headings that the glossary questions already cover, or that make no sense as a question
+  var GENERIC_TITLES = /^(?:introduction|objectives?|section|summary|conclusion|scene\s+\d+)$/i;
+  var EXAMPLE_PROMPT = 'Give me an example of that';
+
+  function currentLessonId() {
+    var m = /^#\/lessons\/([^\/?]+)/.exec(location.hash || '');
+    return m ? decodeURIComponent(m[1]) : '';
+  }
+
+  /** "Using Active Voice" -> "How do I use active voice?"; other headings -> "Tell me about ..." */
+  function phraseBlockQuestion(block) {
+    if (!block.isHeading) return '';
+    var title = (block.title || '').trim();
+    if (!title || GENERIC_TITLES.test(title)) return '';
+    if (/\?$/.test(title)) return title;
+    // Rise headings are Title Case; keep acronyms as they are
+    var lower = title.split(/\s+/).map(function(w) { return /^[A-Z0-9]{2,}$/.test(w) ? w : w.toLowerCase(); }).join(' ');
+    var using = /^using\s+(.+)$/.exec(lower);
+    return using ? 'How do I use ' + using[1] + '?' : 'Tell me about ' + lower;
+  }
+
+  /**
+   * Suggested question for a block, kept only when search answers it from that block's text
+   * (not just its heading), so a chip never leads to "I couldn't find that".
+   */
+  function blockQuestion(block) {
+    if (block.question === undefined) {
+      var q = phraseBlockQuestion(block);
+      var terms = q ? uniqueTerms(analyze(q)) : [];
+      var best = terms.length ? rankEntries(terms, queryOptions(q, terms))[0] : null;
+      block.question = best && best.entry.blockId === block.blockId && best.entry.type !== 'heading' ? q : '';
+    }
+    return block.question;
+  }
+
+  function textOf(filter) {
+    return courseIndex.filter(filter).map(function(e) { return e.text; }).join(' ');
+  }
+
+  /**
+   * Glossary and course questions whose term appears in the text, in reading order,
+   * then those that only link to blockId.
+   */
+  function glossaryQuestions(text, blockId) {
+    var found = [];
+    COURSE_ANSWERS.concat(glossary).forEach(function(g) {
+      if (!g.question) return;
+      var m = g.pattern.exec(text);
+      if (m) found.push({ question: g.question, at: m.index });
+      else if (blockId && g.blockIds && g.blockIds.indexOf(blockId) !== -1) found.push({ question: g.question, at: Infinity });
+    });
+    return found.sort(function(a, b) { return a.at - b.at; }).map(function(f) { return f.question; });
+  }
+
+  /** Block questions and matching glossary questions for one lesson, alternating. */
+  function lessonQuestions(lesson) {
+    var fromBlocks = lesson.blocks.map(blockQuestion).filter(Boolean);
+    var fromGlossary = glossaryQuestions(textOf(function(e) { return e.lessonId === lesson.lessonId; }));
+    var out = [];
+    for (var i = 0; i < Math.max(fromBlocks.length, fromGlossary.length); i++) {
+      if (fromGlossary[i]) out.push(fromGlossary[i]);
+      if (fromBlocks[i]) out.push(fromBlocks[i]);
+    }
+    return out;
+  }
+
+  /** Questions related to the block of the last answer: an example, what comes next, terms it uses. */
+  function followUpQuestions(blockId, lastQuestion) {
+    var out = [];
+    if (!/\bexamples?\b/i.test(lastQuestion)) out.push(EXAMPLE_PROMPT);
+    courseToc.forEach(function(lesson) {
+      var at = lesson.blocks.map(function(b) { return b.blockId; }).indexOf(blockId);
+      if (at === -1) return;
+      var next = lesson.blocks.slice(at + 1).map(blockQuestion).filter(Boolean);
+      out = out.concat(next.slice(0, FOLLOW_UP_BLOCKS));
+    });
+    return out.concat(glossaryQuestions(textOf(function(e) { return e.blockId === blockId; }), blockId));
+  }
+
+  /** "What is jargon?" and "what is jargon" are the same question. */
+  function askedKey(q) {
+    return q.trim().toLowerCase().replace(/[\s?.!]+$/, '').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Up to MAX_SUGGESTIONS questions: follow-ups to the current topic when it belongs to the lesson
+   * on screen, then the current lesson's own questions, then the rest of the course.
+   * Questions the learner already asked are left out.
+   */
+  function suggestQuestions() {
+    var asked = {};
+    var lastQuestion = '';
+    conversation.turns.forEach(function(t) {
+      if (t.role !== 'user') return;
+      asked[askedKey(t.text)] = true;
+      if (t.query) asked[askedKey(t.query)] = true;
+      lastQuestion = t.text;
+    });
+    var list = [];
+    function add(q) {
+      if (list.indexOf(q) === -1 && !asked[askedKey(q)]) list.push(q);
+    }
+    var lessonId = currentLessonId();
+    var topic = conversation.topic;
+    if (topic && topic.blockId && (!lessonId || lessonBlockIds(lessonId).indexOf(topic.blockId) !== -1)) {
+      followUpQuestions(topic.blockId, lastQuestion).forEach(add);
+    }
+    var lessons = courseToc.filter(function(l) { return l.lessonId === lessonId; })
+      .concat(courseToc.filter(function(l) { return l.lessonId !== lessonId; }));
+    lessons.forEach(function(lesson) { lessonQuestions(lesson).forEach(add); });
+    return list.slice(0, MAX_SUGGESTIONS);
+  }
+
+  // --- Voice: spoken questions (SpeechRecognition) and spoken answers (speechSynthesis) ---
+  var SPEAK_ANSWERS_KEY = 'navitoirSpeakAnswers';
+  var SpeechRecognitionApi = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+  var recognition = null;
+  var listening = false;
+  var keepTranscript = true;
+  var speakAnswers = false;
+
+  var RECOGNITION_ERRORS = {
+    'not-allowed': 'Microphone access is blocked. Allow it in the browser settings, or type your question.',
+    'service-not-allowed': 'Voice input is turned off in this browser. Please type your question.',
+    'audio-capture': 'No microphone was found. Please type your question.',
+    'no-speech': 'I didn\'t hear anything. Try again, or type your question.',
+    'network': 'Voice input needs a network connection. Please type your question.'
+  };
+
+  function canSpeak() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+
+  function loadSpeakAnswers() {
+    try {
+      speakAnswers = canSpeak() && !!window.localStorage && localStorage.getItem(SPEAK_ANSWERS_KEY) === '1';
+    } catch (e) {
+      speakAnswers = false;
+    }
+  }
+
+  function setSpeakAnswers(on) {
+    speakAnswers = !!on && canSpeak();
+    try {
+      if (window.localStorage) localStorage.setItem(SPEAK_ANSWERS_KEY, speakAnswers ? '1' : '0');
+    } catch (e) {
+      console.warn('Could not save the read-answers setting:', e);
+    }
+    if (!speakAnswers) stopSpeaking();
+  }
+
+  /** Utterance with the learner's Text-to-Speech voice, rate and pitch from the accessibility panel. */
+  function createAnswerUtterance(text) {
+    var utterance = new SpeechSynthesisUtterance(text);
+    var options = window.A11yPortfolio && window.A11yPortfolio.getSpeechOptions ? window.A11yPortfolio.getSpeechOptions() : {};
+    if (options.rate) utterance.rate = options.rate;
+    if (options.pitch) utterance.pitch = options.pitch;
+    if (options.voice) {
+      var voice = window.speechSynthesis.getVoices().filter(function(v) { return v.voiceURI === options.voice; })[0];
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      }
+    }
+    return utterance;
+  }
+
+  function speakAnswer(text) {
+    if (!speakAnswers || !text) return;
+    // One voice at a time: the lesson reader and the assistant share speechSynthesis
+    if (window.A11yPortfolio && window.A11yPortfolio.stopReading) window.A11yPortfolio.stopReading();
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(createAnswerUtterance(text.replace(/•/g, '')));
+  }
+
+  function stopSpeaking() {
+    if (canSpeak() && window.speechSynthesis.speaking) window.speechSynthesis.cancel();
+  }
+
+  /**
+   * Listen for one question. Interim words go into the input as they are heard;
+   * the final transcript is passed to onFinal. Errors are reported through onStatus.
+   */
+  function startListening(input, onFinal, onStatus, onChange) {
+    if (!SpeechRecognitionApi) {
+      onStatus('Voice input isn\'t available in this browser. Please type your question.');
+      return;
+    }
+    stopSpeaking();
+    recognition = new SpeechRecognitionApi();
+    recognition.lang = document.documentElement.lang || 'en-US';
+    recognition.interimResults = true;
+    recognition.maxAlternatives = 1;
+    var finalText = '';
+    keepTranscript = true;
+    recognition.onresult = function(e) {
+      var interim = '';
+      for (var i = e.resultIndex; i < e.results.length; i++) {
+        if (e.results[i].isFinal) finalText += e.results[i][0].transcript;
+        else interim += e.results[i][0].transcript;
+      }
+      input.value = (finalText + interim).trim();
+    };
+    recognition.onerror = function(e) {
+      if (e.error !== 'aborted') onStatus(RECOGNITION_ERRORS[e.error] || 'Voice input stopped. Please type your question.');
+    };
+    recognition.onend = function() {
+      listening = false;
+      recognition = null;
+      onChange(false);
+      if (keepTranscript && finalText.trim()) onFinal();
+    };
+    try {
+      recognition.start();
+    } catch (e) {
+      console.warn('Could not start voice input:', e);
+      recognition = null;
+      onStatus('Voice input couldn\'t start. Please type your question.');
+      return;
+    }
+    listening = true;
+    onChange(true);
+    onStatus('Listening… Ask your question.');
+  }
+
+  /** Stop listening; the words heard so far are sent unless discard is set. */
+  function stopListening(discard) {
+    if (!recognition) return;
+    keepTranscript = !discard;
+    if (discard) recognition.abort();
+    else recognition.stop();
+  }
+
+  // --- Glossary in the lesson: first use of each term per block gets a definition tooltip ---
+  var TERM_CLASS = 'navitoir-term';
+  var TERM_TIP_ID = 'navitoir-term-tip';
+  var TERM_SCAN_DELAY = 250;
+  var TIP_HIDE_DELAY = 200;
+  // Rise rich text only; not inside controls, headings, knowledge checks or our own panels
+  var TERM_SKIP_SELECTOR = 'a, button, label, input, textarea, select, [role="button"], [contenteditable="true"], ' +
+    'h1, h2, h3, h4, h5, h6, .block-knowledge, .' + TERM_CLASS + ', #ai-modal-root, #accessibility-container';
+  var termTip = null;
+  var termTipTarget = null;
+  var termTipTimer = 0;
+  var termScanTimer = 0;
+  var termObserver = null;
+
+  function glossaryTermById(id) {
+    for (var i = 0; i < glossary.length; i++) if (glossary[i].id === id) return glossary[i];
+    return null;
+  }
+
+  function textNodesIn(block) {
+    var nodes = [];
+    var walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+      acceptNode: function(node) {
+        var parent = node.parentElement;
+        if (!parent || !parent.closest('.fr-view') || parent.closest(TERM_SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return /\S/.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  function wrapTerm(node, start, length, item) {
+    var termNode = node.splitText(start);
+    var rest = termNode.splitText(length);
+    var span = document.createElement('span');
+    span.className = TERM_CLASS;
+    span.setAttribute('data-term-id', item.id);
+    span.setAttribute('tabindex', '0');
+    span.style.cssText = 'border-bottom:1px dotted currentColor;cursor:help;';
+    termNode.parentNode.replaceChild(span, termNode);
+    span.appendChild(termNode);
+    return rest;
+  }
+
+  /** Mark the first use of each glossary term in a block; safe to run again after Rise re-renders. */
+  function markBlockTerms(block) {
+    var used = {};
+    Array.prototype.forEach.call(block.querySelectorAll('.' + TERM_CLASS), function(el) {
+      used[el.getAttribute('data-term-id')] = true;
+    });
+    var queue = textNodesIn(block);
+    while (queue.length) {
+      var node = queue.shift();
+      for (var i = 0; i < glossary.length; i++) {
+        var item = glossary[i];
+        if (used[item.id]) continue;
+        var m = item.pattern.exec(node.nodeValue);
+        if (!m) continue;
+        used[item.id] = true;
+        // The text after the term can still hold other terms
+        queue.unshift(wrapTerm(node, m.index + m[1].length, m[2].length, item));
+        break;
+      }
+    }
+  }
+
+  function scheduleTermScan() {
+    clearTimeout(termScanTimer);
+    termScanTimer = setTimeout(function() {
+      Array.prototype.forEach.call(document.querySelectorAll('[data-block-id]'), markBlockTerms);
+    }, TERM_SCAN_DELAY);
+  }
+
+  function showTermTip(el) {
+    var item = glossaryTermById(el.getAttribute('data-term-id'));
+    if (!item) return;
+    clearTimeout(termTipTimer);
+    if (termTipTarget && termTipTarget !== el) termTipTarget.removeAttribute('aria-describedby');
+    termTipTarget = el;
+    termTip.textContent = '';
+    var name = document.createElement('strong');
+    name.textContent = item.term + ': ';
+    termTip.appendChild(name);
+    termTip.appendChild(document.createTextNode(item.definition));
+    termTip.style.display = 'block';
+    el.setAttribute('aria-describedby', TERM_TIP_ID);
+    // Below the term, or above it when there is no room; kept inside the viewport
+    var rect = el.getBoundingClientRect();
+    var tipRect = termTip.getBoundingClientRect();
+    var top = rect.bottom + 6;
+    if (top + tipRect.height > window.innerHeight - 8) top = Math.max(8, rect.top - tipRect.height - 6);
+    termTip.style.top = top + 'px';
+    termTip.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - tipRect.width - 8)) + 'px';
+  }
+
+  function hideTermTip() {
+    clearTimeout(termTipTimer);
+    if (!termTip) return;
+    termTip.style.display = 'none';
+    if (termTipTarget) termTipTarget.removeAttribute('aria-describedby');
+    termTipTarget = null;
+  }
+
+  function closestTerm(target) {
+    return target && target.closest ? target.closest('.' + TERM_CLASS) : null;
+  }
+
+  /** Tooltips follow hover and keyboard focus, stay open while hovered, and close with Escape. */
+  function startTermTooltips() {
+    var config = window.NavitoirConfig || {};
+    if (termObserver || config.glossaryTooltips === false || !glossary.length) return;
+    termTip = document.createElement('div');
+    termTip.id = TERM_TIP_ID;
+    termTip.setAttribute('role', 'tooltip');
+    termTip.style.cssText = 'position:fixed;display:none;max-width:280px;padding:8px 12px;border-radius:8px;background:#065f46;color:#fff;font-size:14px;line-height:1.4;white-space:pre-line;box-shadow:0 10px 25px rgba(0,0,0,0.2);z-index:' + (Z_FAB - 1) + ';';
+    termTip.addEventListener('mouseenter', function() { clearTimeout(termTipTimer); });
+    termTip.addEventListener('mouseleave', function() { termTipTimer = setTimeout(hideTermTip, TIP_HIDE_DELAY); });
+    document.body.appendChild(termTip);
+
+    document.addEventListener('mouseover', function(e) {
+      var term = closestTerm(e.target);
+      if (term) showTermTip(term);
+    });
+    document.addEventListener('mouseout', function(e) {
+      if (!closestTerm(e.target) || termTip.contains(e.relatedTarget) || closestTerm(e.relatedTarget)) return;
+      termTipTimer = setTimeout(hideTermTip, TIP_HIDE_DELAY);
+    });
+    document.addEventListener('focusin', function(e) {
+      var term = closestTerm(e.target);
+      if (term) showTermTip(term);
+    });
+    document.addEventListener('focusout', function(e) {
+      if (closestTerm(e.target)) hideTermTip();
+    });
+    window.addEventListener('scroll', hideTermTip, true);
+
+    termObserver = new MutationObserver(scheduleTermScan);
+    termObserver.observe(document.querySelector('#app') || document.body, { childList: true, subtree: true });
+    scheduleTermScan();
   }
 
   // --- DOM: button and panel ---
   var aiOpen = false;
   var aiBtn, aiPanel, aiModalRoot;
-  var aiMessages, aiInput, aiSend;
+  var aiMessages, aiInput, aiSend, aiSuggestions, aiMic, aiStatus, aiFoot, aiGlossary;
+
+  // Panel modes: course questions, a writing check on pasted text, or a view in place of the conversation
+  var MODES = {
+    ask: { label: 'Ask', placeholder: 'Ask a question...', rows: 1 },
+    plain: { label: 'Check my writing', placeholder: 'Paste your text to check it for plain language...', rows: 4, check: checkPlainLanguage },
+    inclusive: { label: 'Check inclusive language', placeholder: 'Paste your text to check it for inclusive language...', rows: 4, check: checkInclusiveLanguage },
+    glossary: { label: 'Glossary', view: renderGlossaryView }
+  };
+  var aiMode = 'ask';
+  var modeButtons = {};
   var Z_MODAL = 999999;
   var Z_FAB = 999998;
 
@@ -350,7 +1797,11 @@
     aiOpen = !aiOpen;
     if (aiModalRoot) aiModalRoot.style.display = aiOpen ? 'flex' : 'none';
     if (aiBtn) aiBtn.setAttribute('aria-expanded', String(aiOpen));
-    if (aiOpen && aiInput) { aiInput.focus(); }
+    if (aiOpen && aiInput) focusMode();
+    if (!aiOpen) {
+      stopListening(true);
+      stopSpeaking();
+    }
   }
 
   function createAIPanel() {
@@ -384,28 +1835,131 @@
     closeBtn.textContent = '×';
     closeBtn.style.cssText = 'width:32px;height:32px;border:0;background:transparent;color:#065f46;font-size:20px;cursor:pointer;border-radius:50%;';
     closeBtn.addEventListener('click', function(e) { e.stopPropagation(); toggleAIPanel(); });
-    head.appendChild(closeBtn);
+    var clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.textContent = 'Clear conversation';
+    clearBtn.style.cssText = 'padding:4px 8px;border:0;background:transparent;color:#065f46;font-size:12px;text-decoration:underline;cursor:pointer;';
+    clearBtn.addEventListener('click', function(e) {
+      e.stopPropagation();
+      clearConversation();
+      renderTranscript();
+      focusMode();
+    });
+    var headRight = document.createElement('div');
+    headRight.style.cssText = 'display:flex;align-items:center;gap:4px;';
+    headRight.appendChild(clearBtn);
+    headRight.appendChild(closeBtn);
+    head.appendChild(headRight);
     wrap.appendChild(head);
 
+    var modeBar = document.createElement('div');
+    modeBar.setAttribute('role', 'group');
+    modeBar.setAttribute('aria-label', 'Assistant mode');
+    modeBar.style.cssText = 'flex-shrink:0;display:flex;flex-wrap:wrap;gap:6px;padding:8px 16px;border-bottom:1px solid #e5e7eb;';
+    Object.keys(MODES).forEach(function(mode) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = MODES[mode].label;
+      btn.style.cssText = 'padding:4px 10px;border:2px solid #d1fae5;border-radius:999px;background:#fff;color:#065f46;font-size:12px;font-weight:500;cursor:pointer;';
+      btn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setMode(mode);
+        focusMode();
+      });
+      modeButtons[mode] = btn;
+      modeBar.appendChild(btn);
+    });
+    var speakBtn = document.createElement('button');
+    speakBtn.type = 'button';
+    speakBtn.textContent = 'Read answers aloud';
+    speakBtn.style.cssText = 'margin-left:auto;padding:4px 10px;border:2px solid #d1fae5;border-radius:999px;background:#fff;color:#065f46;font-size:12px;font-weight:500;cursor:pointer;';
+    function syncSpeakButton() {
+      speakBtn.setAttribute('aria-pressed', String(speakAnswers));
+      speakBtn.style.background = speakAnswers ? '#059669' : '#fff';
+      speakBtn.style.color = speakAnswers ? '#fff' : '#065f46';
+    }
+    if (canSpeak()) {
+      speakBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setSpeakAnswers(!speakAnswers);
+        syncSpeakButton();
+        setStatus(speakAnswers ? 'Answers will be read aloud.' : 'Answers will no longer be read aloud.');
+      });
+    } else {
+      // Stays focusable so screen-reader users learn why it does nothing
+      speakBtn.setAttribute('aria-disabled', 'true');
+      speakBtn.title = 'This browser can\'t read text aloud.';
+      speakBtn.style.opacity = '0.6';
+      speakBtn.style.cursor = 'not-allowed';
+      speakBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setStatus('This browser can\'t read text aloud. Answers are shown as text only.');
+      });
+    }
+    loadSpeakAnswers();
+    syncSpeakButton();
+    modeBar.appendChild(speakBtn);
+    wrap.appendChild(modeBar);
+
     aiMessages = document.createElement('div');
     aiMessages.style.cssText = 'flex:1;overflow-y:auto;padding:16px;font-size:14px;line-height:1.5;';
-    var welcome = document.createElement('p');
-    welcome.style.cssText = 'color:#4b5563;margin:0 0 12px;';
-    welcome.textContent = 'Ask anything about the course. I answer from the course content only.';
-    aiMessages.appendChild(welcome);
+    aiMessages.setAttribute('role', 'log');
+    aiMessages.setAttribute('aria-live', 'polite');
     wrap.appendChild(aiMessages);
 
-    var foot = document.createElement('div');
+    aiSuggestions = document.createElement('div');
+    aiSuggestions.setAttribute('role', 'group');
+    aiSuggestions.setAttribute('aria-label', 'Suggested questions');
+    aiSuggestions.style.cssText = 'flex-shrink:0;display:none;flex-wrap:wrap;gap:6px;padding:8px 16px 0;';
+    wrap.appendChild(aiSuggestions);
+
+    aiStatus = document.createElement('p');
+    aiStatus.setAttribute('role', 'status');
+    aiStatus.style.cssText = 'flex-shrink:0;display:none;margin:0;padding:8px 16px 0;font-size:12px;color:#047857;';
+    wrap.appendChild(aiStatus);
+
+    aiGlossary = document.createElement('div');
+    aiGlossary.setAttribute('tabindex', '-1');
+    aiGlossary.setAttribute('aria-label', 'Glossary');
+    aiGlossary.style.cssText = 'flex:1;display:none;overflow-y:auto;padding:16px;font-size:14px;line-height:1.5;';
+    wrap.appendChild(aiGlossary);
+
+    var foot = aiFoot = document.createElement('div');
     foot.style.cssText = 'flex-shrink:0;display:flex;gap:8px;padding:12px 16px;border-top:1px solid #e5e7eb;';
-    aiInput = document.createElement('input');
-    aiInput.type = 'text';
-    aiInput.placeholder = 'Ask a question...';
-    aiInput.style.cssText = 'flex:1;padding:10px 12px;border:2px solid #e5e7eb;border-radius:8px;font-size:14px;';
+    aiInput = document.createElement('textarea');
+    aiInput.rows = 1;
+    aiInput.setAttribute('aria-label', 'Message');
+    aiInput.style.cssText = 'flex:1;padding:10px 12px;border:2px solid #e5e7eb;border-radius:8px;font-size:14px;font-family:inherit;resize:none;';
     aiSend = document.createElement('button');
     aiSend.type = 'button';
     aiSend.textContent = 'Send';
     aiSend.style.cssText = 'padding:10px 16px;border:0;border-radius:8px;background:linear-gradient(135deg,#10b981 0%,#059669 100%);color:#fff;font-weight:500;cursor:pointer;';
+    aiMic = document.createElement('button');
+    aiMic.type = 'button';
+    aiMic.setAttribute('aria-label', 'Ask by voice');
+    aiMic.setAttribute('aria-pressed', 'false');
+    aiMic.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true" style="width:18px;height:18px;"><rect x="9" y="2" width="6" height="12" rx="3"/><path d="M5 10a7 7 0 0 0 14 0M12 17v5M8 22h8"/></svg>';
+    aiMic.style.cssText = 'flex-shrink:0;width:42px;border:2px solid #10b981;border-radius:8px;background:#fff;color:#047857;cursor:pointer;display:flex;align-items:center;justify-content:center;';
+    if (!SpeechRecognitionApi) {
+      aiMic.setAttribute('aria-disabled', 'true');
+      aiMic.title = 'Voice input isn\'t available in this browser.';
+      aiMic.style.opacity = '0.6';
+      aiMic.style.cursor = 'not-allowed';
+    }
+    function syncMic(on) {
+      aiMic.setAttribute('aria-pressed', String(on));
+      aiMic.setAttribute('aria-label', on ? 'Stop listening' : 'Ask by voice');
+      aiMic.style.background = on ? '#059669' : '#fff';
+      aiMic.style.color = on ? '#fff' : '#047857';
+      if (!on && aiStatus.textContent.indexOf('Listening') === 0) setStatus('');
+    }
+    aiMic.addEventListener('click', function(e) {
+      e.stopPropagation();
+      if (listening) stopListening();
+      else startListening(aiInput, send, setStatus, syncMic);
+    });
     foot.appendChild(aiInput);
+    foot.appendChild(aiMic);
     foot.appendChild(aiSend);
     wrap.appendChild(foot);
 
@@ -413,21 +1967,110 @@
       var q = (aiInput.value || '').trim();
       if (!q) return;
       aiInput.value = '';
+      stopListening(true);
+      stopSpeaking();
+      setStatus('');
+      appendUserMessage(q);
+      var botP = appendBotMessage();
+      if (MODES[aiMode].check) {
+        var report = MODES[aiMode].check(q);
+        renderAnswer(botP, report);
+        speakAnswer(report.message);
+        addTurn('user', q);
+        addTurn('assistant', report.message, null, report.sources);
+        return;
+      }
+      var intent = runIntent(q);
+      // Not spoken: "read this to me" starts the lesson reader, which would be cut off
+      if (intent) {
+        renderAnswer(botP, intent);
+        addTurn('user', q);
+        addTurn('assistant', intent.message);
+        renderSuggestions();
+        return;
+      }
+      var resolved = resolveFollowUp(q);
+      var turn = addTurn('user', q);
+      // "what about passive voice?" was asked as "what is passive voice"; suggestions skip both
+      if (resolved.query !== q) {
+        turn.query = resolved.query;
+        saveConversation();
+      }
+      // Remote backends take a moment; the placeholder is replaced in place
+      botP.textContent = 'Thinking…';
+      botP.setAttribute('aria-busy', 'true');
+      answerWithBackend(resolved.query, { blockId: resolved.blockId, more: resolved.more }).then(function(res) {
+        botP.removeAttribute('aria-busy');
+        renderAnswer(botP, res);
+        speakAnswer(res.message);
+        addTurn('assistant', res.message, res.source);
+        if (res.ok) rememberTopic(resolved.query, res.source);
+        renderSuggestions();
+      });
+    }
+
+    function setStatus(text) {
+      aiStatus.textContent = text;
+      aiStatus.style.display = text ? 'block' : 'none';
+    }
+
+    function appendUserMessage(text) {
       var userP = document.createElement('p');
       userP.style.cssText = 'margin:0 0 8px;padding:8px 12px;background:#059669;border-radius:8px;color:#fff;';
-      userP.textContent = q;
+      userP.textContent = text;
       aiMessages.appendChild(userP);
-      var res = answerFromCourse(q);
+    }
+
+    function appendBotMessage() {
       var botP = document.createElement('p');
       botP.style.cssText = 'margin:0 0 12px;padding:8px 12px;background:#f3f4f6;border-radius:8px;color:#1f2937;white-space:pre-wrap;';
+      aiMessages.appendChild(botP);
+      return botP;
+    }
+
+    /** Welcome line plus the saved transcript (undo buttons don't survive a reload). */
+    function renderTranscript() {
+      aiMessages.textContent = '';
+      var welcome = document.createElement('p');
+      welcome.style.cssText = 'color:#4b5563;margin:0 0 12px;';
+      welcome.textContent = 'Ask anything about the course, or pick a suggested question below. I answer from the course content only.';
+      aiMessages.appendChild(welcome);
+      conversation.turns.forEach(function(turn) {
+        if (turn.role === 'user') appendUserMessage(turn.text);
+        else renderAnswer(appendBotMessage(), { message: turn.text, source: turn.source, sources: turn.sources });
+      });
+      renderSuggestions();
+    }
+
+    function renderAnswer(botP, res) {
       // Render lists cleanly: " • " between items becomes a newline so each bullet is on its own line
       var display = (res.message || '').replace(/ • /g, '\n• ');
       botP.textContent = display;
-      aiMessages.appendChild(botP);
+      if (res.source) {
+        botP.appendChild(document.createTextNode('\n'));
+        botP.appendChild(createSourceLink(res.source));
+      }
+      (res.sources || []).forEach(function(item) {
+        botP.appendChild(document.createTextNode('\n'));
+        botP.appendChild(createSourceLink(item.source, item.label));
+      });
+      if (res.undo) {
+        botP.appendChild(document.createTextNode('\n'));
+        botP.appendChild(createUndoButton(res.undo));
+      }
       aiMessages.scrollTop = aiMessages.scrollHeight;
     }
+    loadConversation();
+    renderTranscript();
     aiSend.addEventListener('click', send);
-    aiInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') send(); });
+    // Enter sends; Shift+Enter adds a line (pasted text keeps its line breaks)
+    aiInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        send();
+      }
+    });
+    setMode('ask');
 
     aiPanel = wrap;
     var root = document.createElement('div');
@@ -442,6 +2085,169 @@
     return root;
   }
 
+  function setMode(mode) {
+    if (!MODES[mode]) return;
+    aiMode = mode;
+    Object.keys(modeButtons).forEach(function(key) {
+      var active = key === mode;
+      modeButtons[key].setAttribute('aria-pressed', String(active));
+      modeButtons[key].style.background = active ? '#059669' : '#fff';
+      modeButtons[key].style.color = active ? '#fff' : '#065f46';
+    });
+    var view = MODES[mode].view;
+    aiMessages.style.display = view ? 'none' : '';
+    aiFoot.style.display = view ? 'none' : 'flex';
+    aiGlossary.style.display = view === renderGlossaryView ? 'block' : 'none';
+    if (view) {
+      aiStatus.style.display = 'none';
+      view();
+    } else {
+      aiInput.placeholder = MODES[mode].placeholder;
+      aiInput.rows = MODES[mode].rows;
+    }
+    renderSuggestions();
+  }
+
+  /** Focus where the learner types, or the top of a view. */
+  function focusMode() {
+    if (!MODES[aiMode].view) {
+      aiInput.focus();
+      return;
+    }
+    var first = aiGlossary.querySelector('button:not([disabled]), a[href]');
+    (first || aiGlossary).focus();
+  }
+
+  /** Synonyms worth showing: singular/plural variants of the term or of each other are left out. */
+  function displaySynonyms(item) {
+    var seen = {};
+    seen[item.term.toLowerCase().replace(/s$/, '')] = true;
+    return item.synonyms.filter(function(word) {
+      var key = word.toLowerCase().replace(/s$/, '');
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+  }
+
+  function tocBlock(blockId) {
+    for (var i = 0; i < courseToc.length; i++) {
+      for (var j = 0; j < courseToc[i].blocks.length; j++) {
+        if (courseToc[i].blocks[j].blockId === blockId) return courseToc[i].blocks[j];
+      }
+    }
+    return null;
+  }
+
+  function glossaryLetter(term) {
+    var letter = term.charAt(0).toUpperCase();
+    return /[A-Z]/.test(letter) ? letter : '#';
+  }
+
+  /** A–Z list of glossary terms with letter jumps, examples and links to the course. */
+  function renderGlossaryView() {
+    if (!aiGlossary) return;
+    aiGlossary.textContent = '';
+    if (!glossary.length) {
+      var empty = document.createElement('p');
+      empty.style.cssText = 'margin:0;color:#4b5563;';
+      empty.textContent = glossaryError ? 'The glossary isn\'t available right now.' : 'The glossary is loading…';
+      aiGlossary.appendChild(empty);
+      return;
+    }
+    var groups = {};
+    glossary.slice().sort(function(a, b) { return a.term.localeCompare(b.term); }).forEach(function(item) {
+      var letter = glossaryLetter(item.term);
+      (groups[letter] = groups[letter] || []).push(item);
+    });
+
+    var nav = document.createElement('nav');
+    nav.setAttribute('aria-label', 'Glossary letters');
+    nav.style.cssText = 'display:flex;flex-wrap:wrap;gap:2px;margin:0 0 12px;';
+    var headings = {};
+    '#ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').forEach(function(letter) {
+      if (letter === '#' && !groups['#']) return;
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = letter;
+      btn.style.cssText = 'min-width:24px;padding:2px 4px;border:0;border-radius:4px;background:transparent;font-size:12px;font-weight:600;';
+      if (groups[letter]) {
+        btn.setAttribute('aria-label', 'Terms starting with ' + letter);
+        btn.style.color = '#047857';
+        btn.style.cursor = 'pointer';
+        btn.addEventListener('click', function(e) {
+          e.stopPropagation();
+          headings[letter].scrollIntoView({ block: 'start', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+          headings[letter].focus({ preventScroll: true });
+        });
+      } else {
+        btn.disabled = true;
+        btn.style.color = '#9ca3af';
+      }
+      nav.appendChild(btn);
+    });
+    aiGlossary.appendChild(nav);
+
+    Object.keys(groups).sort().forEach(function(letter) {
+      var h = document.createElement('h4');
+      h.textContent = letter;
+      h.setAttribute('tabindex', '-1');
+      h.style.cssText = 'margin:12px 0 4px;font-size:14px;color:#065f46;border-bottom:1px solid #d1fae5;';
+      headings[letter] = h;
+      aiGlossary.appendChild(h);
+      var list = document.createElement('dl');
+      list.style.cssText = 'margin:0;';
+      groups[letter].forEach(function(item) {
+        var dt = document.createElement('dt');
+        dt.textContent = item.term;
+        dt.style.cssText = 'margin:8px 0 2px;font-weight:600;color:#1f2937;';
+        list.appendChild(dt);
+        var dd = document.createElement('dd');
+        dd.style.cssText = 'margin:0 0 8px;color:#374151;white-space:pre-line;';
+        dd.textContent = item.definition;
+        var synonyms = displaySynonyms(item);
+        if (synonyms.length) {
+          dd.appendChild(document.createTextNode('\nAlso: ' + synonyms.join(', ')));
+        }
+        item.examples.forEach(function(example) {
+          dd.appendChild(document.createTextNode('\nExample: ' + example));
+        });
+        item.blockIds.forEach(function(blockId) {
+          var source = blockSource(blockId);
+          if (!source) return;
+          // Several links to one lesson need the block heading to tell them apart
+          var block = item.blockIds.length > 1 ? tocBlock(blockId) : null;
+          dd.appendChild(document.createTextNode('\n'));
+          dd.appendChild(createSourceLink(source, block && block.isHeading ? 'Go to "' + block.title.trim() + '"' : ''));
+        });
+        list.appendChild(dd);
+      });
+      aiGlossary.appendChild(list);
+    });
+  }
+
+  /** Suggested-question chips in Ask mode; clicking one sends it as the question. */
+  function renderSuggestions() {
+    if (!aiSuggestions) return;
+    aiSuggestions.textContent = '';
+    var questions = aiMode === 'ask' ? suggestQuestions() : [];
+    aiSuggestions.style.display = questions.length ? 'flex' : 'none';
+    questions.forEach(function(q) {
+      var chip = document.createElement('button');
+      chip.type = 'button';
+      chip.textContent = q;
+      chip.style.cssText = 'padding:4px 10px;border:1px solid #a7f3d0;border-radius:999px;background:#ecfdf5;color:#065f46;font-size:12px;text-align:left;cursor:pointer;';
+      chip.addEventListener('click', function(e) {
+        e.stopPropagation();
+        aiInput.value = q;
+        // The chips are rebuilt after the answer, so keep focus somewhere stable
+        aiInput.focus();
+        aiSend.click();
+      });
+      aiSuggestions.appendChild(chip);
+    });
+  }
+
   function closePanelsOnClickOutside(e) {
     if (aiModalRoot && aiModalRoot.contains(e.target)) return;
     if (aiOpen && aiPanel && !aiPanel.contains(e.target) && aiBtn && !aiBtn.contains(e.target)) toggleAIPanel();
@@ -452,21 +2258,58 @@
     aiModalRoot = createAIPanel();
     document.body.appendChild(aiBtn);
     document.body.appendChild(aiModalRoot);
+    // Picks up the assistant shortcut hint (aria-keyshortcuts) on the new button
+    if (window.A11yPortfolio) window.A11yPortfolio.updateUI();
 
     document.addEventListener('click', closePanelsOnClickOutside);
     document.addEventListener('keydown', function(e) {
-      if (e.key === 'Escape' && aiOpen) toggleAIPanel();
+      if (e.key !== 'Escape') return;
+      if (termTipTarget) hideTermTip();
+      else if (aiOpen) toggleAIPanel();
+    });
+    // Suggestions follow the lesson on screen
+    window.addEventListener('hashchange', renderSuggestions);
+
+    configureBackends();
+    loadInclusiveRules();
+    loadGlossary().then(function() {
+      renderSuggestions();
+      if (aiMode === 'glossary') renderGlossaryView();
+      startTermTooltips();
     });
 
     var fetch = window.__fetchCourse;
     if (typeof fetch === 'function') {
       fetch().then(function(data) {
         var course = (data && data.course) ? data.course : data;
-        if (course) buildFromCourse(course);
+        if (course) {
+          buildFromCourse(course);
+          checkGlossaryBlocks();
+          checkRuleSources();
+          renderSuggestions();
+          // Course links in the glossary need the course index
+          if (aiMode === 'glossary') renderGlossaryView();
+        }
       }).catch(function() {});
     }
   }
 
+  // Panel control (used by the accessibility module's keyboard shortcuts) and answer backends
+  window.Navitoir = {
+    open: function() { if (!aiOpen) toggleAIPanel(); },
+    close: function() { if (aiOpen) toggleAIPanel(); },
+    toggle: toggleAIPanel,
+    isOpen: function() { return aiOpen; },
+    registerBackend: registerBackend,
+    useBackend: useBackend,
+    getBackends: function() { return Object.keys(backends); },
+    getActiveBackend: function() { return activeBackend; },
+    createHttpBackend: createHttpBackend,
+    retrievePassages: retrievePassages,
+    ask: answerWithBackend,
+    runCommand: runIntent
+  };
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
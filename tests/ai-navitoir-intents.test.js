@@ -0,0 +1,170 @@
+// The assistant: accessibility commands, follow-ups and writing checks. Run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../scormcontent/ai-navitoir.js'), 'utf8');
+const RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '../scormcontent/inclusive-language-rules.json'), 'utf8'));
+// Module-private helpers the tests call directly; exported just before the DOM-ready hook
+const INTERNALS = ['setInclusiveRules', 'checkInclusiveLanguage', 'buildFromCourse', 'setGlossary',
+  'resolveFollowUp', 'rememberTopic', 'answerFromCourse', 'checkPlainLanguage'];
+const GLOSSARY = JSON.parse(fs.readFileSync(path.join(__dirname, '../scormcontent/glossary.json'), 'utf8'));
+// The Rise export keeps the course as base64 JSON in index.html
+const COURSE = JSON.parse(Buffer.from(
+  /deserialize\("([^"]+)"\)/.exec(fs.readFileSync(path.join(__dirname, '../scormcontent/index.html'), 'utf8'))[1],
+  'base64'
+).toString()).course;
+const EXPORT_AT = "  if (document.readyState === 'loading') {";
+
+const CONFIG = {
+  contrast: { levels: 3, label: 'Contrast', levelLabels: ['Black on white', 'Dark', 'Yellow on black'] },
+  largeText: { levels: 2, label: 'Large Text' },
+  textSpacing: { levels: 2, label: 'Text Spacing' },
+  hideImages: { levels: 1, binary: true, label: 'Hide Images' },
+  reducedMotion: { levels: 1, binary: true, label: 'Reduce Motion' },
+  textToSpeech: { levels: 1, binary: true, label: 'Text to Speech' },
+  blueLightFilter: { levels: 2, label: 'Blue Light Filter' },
+  readingGuide: { levels: 2, label: 'Reading Guide' }
+};
+
+/** Load the assistant against a stand-in accessibility panel that records every change. */
+function loadAssistant() {
+  const state = {};
+  Object.keys(CONFIG).forEach((key) => { state[key] = 0; });
+  const calls = [];
+  const record = (name) => (...args) => { calls.push([name].concat(args)); };
+  const window = {
+    speechSynthesis: {},
+    A11yPortfolio: {
+      getState: () => Object.assign({}, state),
+      getConfig: () => CONFIG,
+      set: (key, value) => { calls.push(['set', key, value]); state[key] = value; },
+      reset: record('reset'),
+      restore: record('restore'),
+      read: record('read'),
+      stopReading: record('stopReading')
+    }
+  };
+  const document = {
+    readyState: 'loading',
+    addEventListener() {},
+    // Course HTML is turned into text through a detached element
+    createElement: () => ({ set innerHTML(html) { this.textContent = html.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' '); } })
+  };
+  const exported = '  window.__internals = { ' + INTERNALS.map((name) => name + ': ' + name).join(', ') + ' };\n';
+  vm.runInNewContext(SOURCE.replace(EXPORT_AT, exported + EXPORT_AT), { window, document, console });
+  return { navitoir: window.Navitoir, internals: window.__internals, state, calls };
+}
+
+test('questions and writing advice never change a setting', () => {
+  const { navitoir, calls } = loadAssistant();
+  [
+    'How can I make sure people read the text?',
+    'How do I increase the clarity of my text?',
+    'Should I use more white space and spacing in my writing?',
+    'Why is high contrast important for readers?',
+    'Can I make the text bigger for readers?',
+    'What does "read this aloud" mean for screen readers?',
+    'Use more white space in your writing.',
+    'Increase the clarity of the text.',
+    'Make sure people read the text.',
+    'Turn off jargon when you write for your audience.'
+  ].forEach((q) => {
+    assert.strictEqual(navitoir.runCommand(q), null, q);
+  });
+  assert.deepStrictEqual(calls, []);
+});
+
+test('imperative commands change the named setting', () => {
+  const { navitoir, state } = loadAssistant();
+  navitoir.runCommand('Make the text bigger');
+  assert.strictEqual(state.largeText, 1);
+  navitoir.runCommand('Please turn off images.');
+  assert.strictEqual(state.hideImages, 1);
+  navitoir.runCommand('Increase the spacing');
+  assert.strictEqual(state.textSpacing, 1);
+  navitoir.runCommand('Use high contrast');
+  assert.strictEqual(state.contrast, 1);
+  navitoir.runCommand('Turn on reading guide');
+  assert.strictEqual(state.readingGuide, 1);
+});
+
+test('polite requests still run the command', () => {
+  const { navitoir, state } = loadAssistant();
+  navitoir.runCommand('Can you make the text bigger?');
+  assert.strictEqual(state.largeText, 1);
+  navitoir.runCommand('Could you turn on dark mode');
+  assert.strictEqual(state.contrast, 2);
+  navitoir.runCommand('Would you please hide the images, please?');
+  assert.strictEqual(state.hideImages, 1);
+  assert.strictEqual(navitoir.runCommand('Can you tell me why contrast matters?'), null);
+});
+
+test('"read this to me" starts the lesson reader', () => {
+  const { navitoir, state, calls } = loadAssistant();
+  const result = navitoir.runCommand('Read this page to me');
+  assert.ok(result.ok);
+  assert.strictEqual(state.textToSpeech, 1);
+  assert.ok(calls.some((call) => call[0] === 'read'));
+});
+
+test('overlapping terms are one inclusive-language finding', () => {
+  const { internals } = loadAssistant();
+  internals.setInclusiveRules(RULES);
+  const report = internals.checkInclusiveLanguage('We should support the elderly in our team.');
+  assert.match(report.message, /^Found 1 phrase to reconsider:/);
+  assert.strictEqual(report.message.split('\n').filter((line) => line.startsWith('•')).length, 1);
+  assert.match(report.message, /“the elderly”/);
+});
+
+test('the plain-language check flags inflected jargon', () => {
+  const { internals } = loadAssistant();
+  const report = internals.checkPlainLanguage('We utilised the new tool and facilitated the session.');
+  assert.match(report.message, /• utilised → use/);
+  assert.match(report.message, /• facilitated → help, run/);
+  // Same stem, but not a form of "actionable"
+  assert.doesNotMatch(internals.checkPlainLanguage('Take action now.').message, /→/);
+});
+
+/** Ask the way the panel does: resolve against the last topic, answer, remember the new topic. */
+function askInConversation(internals, q) {
+  const resolved = internals.resolveFollowUp(q);
+  const res = internals.answerFromCourse(resolved.query, { blockId: resolved.blockId, more: resolved.more });
+  if (res.ok) internals.rememberTopic(resolved.query, res.source);
+  return res;
+}
+
+function loadCourseAssistant() {
+  const assistant = loadAssistant();
+  assistant.internals.buildFromCourse(COURSE);
+  assistant.internals.setGlossary(GLOSSARY);
+  return assistant;
+}
+
+test('a pronoun question with other words follows the previous topic', () => {
+  const { internals } = loadCourseAssistant();
+  const first = askInConversation(internals, 'what is jargon');
+  const avoid = askInConversation(internals, 'how do I avoid it');
+  assert.ok(avoid.ok);
+  assert.match(avoid.message, /jargon|technical terms/i);
+  assert.strictEqual(avoid.source.blockId, first.source.blockId);
+});
+
+test('"tell me more" and "more" continue the previous answer', () => {
+  ['tell me more', 'more'].forEach((q) => {
+    const { internals } = loadCourseAssistant();
+    const first = askInConversation(internals, 'what is jargon');
+    const more = askInConversation(internals, q);
+    assert.ok(more.ok, q);
+    assert.match(more.message, /jargon|technical terms/i, q);
+    assert.strictEqual(more.source.blockId, first.source.blockId, q);
+  });
+});
+
+test('"this course" is a new subject, not a follow-up', () => {
+  const { internals } = loadCourseAssistant();
+  askInConversation(internals, 'what is jargon');
+  assert.strictEqual(internals.resolveFollowUp('what is this course about?').query, 'what is this course about?');
+});